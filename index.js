@@ -1,10 +1,11 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, Partials, PermissionFlagsBits, SlashCommandBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const fs = require('fs').promises;
 const path = require('path');
 const cron = require('node-cron');
 const express = require('express');
 const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
 
 function githubApiRequest(path, method, body) {
     const token = process.env.GITHUB_TOKEN;
@@ -55,10 +56,14 @@ const app = express();
 const PORT = process.env.PORT || 10000;
 
 // IMPORTANTE: Iniciar el servidor INMEDIATAMENTE
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🌐 Server running on port ${PORT}`);
-    console.log(`📡 Health check available at http://0.0.0.0:${PORT}/health`);
-});
+// (only when run as the bot - recompute.js requires this file for its helpers)
+if (require.main === module) {
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🌐 Server running on port ${PORT}`);
+        console.log(`📡 Health check available at http://0.0.0.0:${PORT}/health`);
+        console.log(`📺 Live leaderboard at http://0.0.0.0:${PORT}/dashboard`);
+    });
+}
 
 // Health check endpoints
 app.get('/', (req, res) => {
@@ -73,6 +78,7 @@ app.get('/', (req, res) => {
         <p>Bot: ${status.bot}</p>
         <p>Uptime: ${status.uptime} seconds</p>
         <p>Time: ${status.timestamp}</p>
+        <p><a href="/dashboard">📺 Live leaderboard</a></p>
     `);
 });
 
@@ -92,18 +98,15 @@ app.get('/ping', (req, res) => {
     res.status(200).send('pong');
 });
 
-// Endpoint para ver el archivo de ventas actual (opcionalmente protegido con ADMIN_SECRET)
+// Endpoint para ver el archivo de ventas actual (protegido con ADMIN_SECRET y/o API_TOKENS)
 app.get('/sales.json', async (req, res) => {
     try {
-        const secret = process.env.ADMIN_SECRET;
-
-        // Si ADMIN_SECRET está configurado, exigir ?secret=... en la URL
-        if (secret && req.query.secret !== secret) {
+        // Si ADMIN_SECRET o API_TOKENS están configurados, exigir ?secret=... o un token del API
+        if (!hasDataAccess(req)) {
             return res.status(401).send('Unauthorized');
         }
 
-        await fs.access(DATA_FILE);
-        const raw = await fs.readFile(DATA_FILE, 'utf8');
+        const raw = JSON.stringify(homeStore.data, null, 2);
 
         res.setHeader('Content-Type', 'application/json');
         res.status(200).send(raw);
@@ -113,6 +116,500 @@ app.get('/sales.json', async (req, res) => {
     }
 });
 
+// CSV export (same ranges and filters as !export, same ADMIN_SECRET / API token check):
+// /export.csv?range=2025-10&type=sales|agents&agent=&team=&carrier=&guild=<server id>
+app.get('/export.csv', (req, res) => {
+    if (!hasDataAccess(req)) {
+        return res.status(401).send('Unauthorized');
+    }
+    if (req.query.guild && !guildConfigs[req.query.guild]) {
+        return res.status(404).send('Unknown server');
+    }
+
+    runInGuild(req.query.guild || null, () => {
+        const rangeText = req.query.from && req.query.to ? `${req.query.from}..${req.query.to}` : req.query.range;
+        const range = parseExportRange(rangeText);
+        if (!range) {
+            return res.status(400).send('Unknown range - use month, lastmonth, 2025-10, 2025-W44, 2025-11-14, all or from/to');
+        }
+        const filters = {};
+        EXPORT_FILTERS.filter(name => req.query[name]).forEach(name => {
+            filters[name] = String(req.query[name]);
+        });
+
+        checkResets();
+        const { sales, error } = selectExportSales(range, filters);
+        if (error) {
+            return res.status(400).send(error.replace(/\*\*|`/g, ''));
+        }
+
+        const byAgent = req.query.type === 'agents';
+        const name = `${getExportName(range, filters)}${byAgent ? '-by-agent' : ''}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+        res.status(200).send(byAgent ? buildSummaryCsv(sales) : buildSalesCsv(sales));
+    }).catch(err => {
+        console.error('❌ Error exporting CSV:', err);
+        res.status(500).send('Error exporting sales data');
+    });
+});
+
+// ========================================
+// REST API (/api/v1)
+// ========================================
+// JSON API for the CRM and dashboards, authenticated with bearer tokens:
+//   API_TOKENS="crm:<token>:write,dashboard:<token>"   (name:token[:read|write])
+// Read tokens can use every GET route; POST /sales needs a write token.
+// ?guild=<server id> (or an X-Guild-Id header) picks the server - the home
+// server by default.
+const API_TOKENS = (process.env.API_TOKENS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const parts = entry.split(':');
+        if (parts.length === 1) parts.unshift('api');
+        const [name, token, scope = 'read'] = parts;
+        return { name, token, scope: scope === 'write' ? 'write' : 'read' };
+    })
+    .filter(entry => entry.token);
+
+const API_MAX_PAGE = 500;
+
+// API token entry for a token string (compared in constant time)
+function matchApiToken(value) {
+    if (!value || typeof value !== 'string') return null;
+    const crypto = require('crypto');
+    const digest = text => crypto.createHash('sha256').update(text).digest();
+    const given = digest(value);
+    return API_TOKENS.find(entry => crypto.timingSafeEqual(digest(entry.token), given)) || null;
+}
+
+// Token sent as "Authorization: Bearer <token>"
+function findApiToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? matchApiToken(match[1]) : null;
+}
+
+function requireApiToken(req, res, next) {
+    if (API_TOKENS.length === 0) {
+        return res.status(503).json({ error: 'API disabled - set API_TOKENS' });
+    }
+    req.apiToken = findApiToken(req);
+    if (!req.apiToken) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Missing or invalid bearer token' });
+    }
+    next();
+}
+
+function requireWriteToken(req, res, next) {
+    if (req.apiToken.scope !== 'write') {
+        return res.status(403).json({ error: `Token "${req.apiToken.name}" is read-only` });
+    }
+    next();
+}
+
+// Async route handlers - errors go to the API error handler
+const apiRoute = handler => (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+
+// Error answered as { error } with this status
+function apiError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function toApiSale(sale) {
+    const teamId = getTeamForUser(sale.userId);
+    return {
+        id: sale.id,
+        userId: sale.userId,
+        username: sale.username,
+        team: teamId ? salesData.teams[teamId].name : null,
+        amount: sale.amount,
+        carrier: sale.carrier,
+        product: sale.product,
+        policyType: sale.policyType,
+        timestamp: sale.timestamp,
+        localTime: getSaleLocalTimestamp(sale),
+        source: sale.source,
+        messageId: sale.messageId,
+        replaces: sale.replaces,
+        split: sale.split || null,
+        status: sale.status,
+        statusHistory: sale.statusHistory,
+        voided: sale.voided
+    };
+}
+
+// Ranked agents of a bucket
+function toApiRanking(bucket, limit) {
+    return Object.entries(bucket)
+        .sort(([, a], [, b]) => b.total - a.total)
+        .slice(0, limit)
+        .map(([userId, entry], index) => {
+            const teamId = getTeamForUser(userId);
+            return {
+                rank: index + 1,
+                userId,
+                username: entry.username,
+                team: teamId ? salesData.teams[teamId].name : null,
+                total: Math.round(entry.total * 100) / 100,
+                count: entry.count
+            };
+        });
+}
+
+function findCatalogFilter(field, name) {
+    const entry = matchCatalogEntry(field === 'carrier' ? catalog.carriers : catalog.products, name);
+    if (!entry) throw apiError(400, `Unknown ${field} "${name}"`);
+    return entry.name;
+}
+
+const apiRouter = express.Router();
+apiRouter.use(requireApiToken);
+apiRouter.use(express.json({ limit: '100kb' }));
+apiRouter.use((req, res, next) => {
+    const guildId = req.query.guild || req.get('x-guild-id') || null;
+    if (guildId && !guildConfigs[guildId]) {
+        return res.status(404).json({ error: 'Unknown server' });
+    }
+    runInGuild(guildId, () => {
+        checkResets();
+        next();
+    }).catch(next);
+});
+
+// GET /leaderboard/:period - daily|weekly|monthly|alltime, yesterday|lastweek|lastmonth
+// or a period key (2025-11-14, 2025-W44, 2025-10); ?team= &carrier= &product= &limit=
+apiRouter.get('/leaderboard/:period', apiRoute((req, res) => {
+    const value = req.params.period.toLowerCase();
+    let period = PERIOD_ALIASES[value] || (['alltime', 'all'].includes(value) ? 'allTime' : null);
+    let key = null;
+    let bucket;
+    let sales;
+
+    if (period === 'allTime') {
+        bucket = salesData.allTime;
+        sales = getLedgerSales();
+    } else if (period) {
+        key = getPeriodKeys(getLocalTimestamp())[PERIOD_KEY_TYPES[period]];
+        bucket = salesData[period];
+        sales = getCurrentPeriodSales(period);
+    } else {
+        const archived = parseArchiveKey([value]);
+        if (!archived) throw apiError(400, `Unknown period "${req.params.period}"`);
+        ({ period, key } = archived);
+        bucket = getPeriodData(period, key);
+        sales = getLedgerSales(PERIOD_KEY_TYPES[period], key);
+    }
+
+    // ?basis=issued|paid ranks only the policies that got that far
+    if (req.query.basis && req.query.basis !== 'submitted') {
+        if (!STATUS_VIEWS[req.query.basis]) throw apiError(400, `Unknown basis "${req.query.basis}" - use submitted, issued or paid`);
+        sales = getStatusSales(sales, req.query.basis);
+        bucket = aggregateSales(sales);
+    }
+
+    // Carrier/product rankings come from the ledger
+    ['carrier', 'product'].filter(field => req.query[field]).forEach(field => {
+        const name = findCatalogFilter(field, String(req.query[field]));
+        sales = sales.filter(sale => sale[field] === name);
+        bucket = aggregateSales(sales);
+    });
+    if (req.query.team) {
+        const team = findTeam(String(req.query.team));
+        if (!team) throw apiError(400, `Unknown team "${req.query.team}"`);
+        bucket = filterBucketByTeam(bucket, team.id);
+    }
+
+    const entries = Object.values(bucket);
+    res.json({
+        period,
+        key,
+        basis: req.query.basis || 'submitted',
+        timezone: getTimezone(),
+        total: Math.round(entries.reduce((sum, entry) => sum + entry.total, 0) * 100) / 100,
+        count: entries.reduce((sum, entry) => sum + entry.count, 0),
+        agents: toApiRanking(bucket, Math.min(parseInt(req.query.limit, 10) || 100, API_MAX_PAGE)),
+        teams: Object.keys(salesData.teams).length === 0 ? [] : summarizeTeams(bucket).map(team => ({
+            id: team.id,
+            name: team.name,
+            total: Math.round(team.total * 100) / 100,
+            count: team.count,
+            agents: team.agents
+        }))
+    });
+}));
+
+// GET /agents/:id/stats - by Discord id or username
+apiRouter.get('/agents/:id/stats', apiRoute((req, res) => {
+    const wanted = req.params.id.toLowerCase();
+    const known = ['allTime', 'monthly', 'weekly', 'daily'].map(period => salesData[period]);
+    let userId = known.some(bucket => bucket[req.params.id]) ? req.params.id : null;
+    if (!userId) {
+        const byName = getLedgerSales().find(sale => (sale.username || '').toLowerCase() === wanted);
+        userId = byName ? byName.userId : null;
+    }
+    if (!userId) throw apiError(404, `Unknown agent "${req.params.id}"`);
+
+    const periods = {};
+    ['daily', 'weekly', 'monthly', 'allTime'].forEach(period => {
+        const entry = salesData[period][userId] || { total: 0, count: 0 };
+        const rank = Object.entries(salesData[period]).sort(([, a], [, b]) => b.total - a.total).findIndex(([id]) => id === userId) + 1;
+        periods[period] = {
+            total: Math.round(entry.total * 100) / 100,
+            count: entry.count,
+            rank: rank || null,
+            goal: period === 'allTime' ? null : getAgentGoal(userId, period) || null
+        };
+    });
+
+    const agentSales = getLedgerSales().filter(sale => sale.userId === userId);
+    const monthSales = getCurrentPeriodSales('monthly').filter(sale => sale.userId === userId);
+    const username = [salesData.allTime[userId], salesData.monthly[userId]].find(Boolean)?.username
+        || (agentSales[agentSales.length - 1] || {}).username;
+    const teamId = getTeamForUser(userId);
+    res.json({
+        userId,
+        username,
+        team: teamId ? salesData.teams[teamId].name : null,
+        periods,
+        monthAverage: periods.monthly.count > 0 ? Math.round((periods.monthly.total / periods.monthly.count) * 100) / 100 : 0,
+        monthPace: Math.round(getPace(periods.monthly.total, 'monthly') * 100) / 100,
+        monthCarriers: summarizeSalesBy(monthSales, 'carrier').map(group => ({ name: group.name, total: Math.round(group.total * 100) / 100, count: group.count })),
+        monthStatuses: summarizeSalesBy(monthSales, 'status').map(group => ({ status: group.name, total: Math.round(group.total * 100) / 100, count: group.count })),
+        recentSales: agentSales.slice(-10).reverse().map(toApiSale)
+    });
+}));
+
+// GET /sales - ?range= (as !export) or ?from=&to=, &agent= &team= &carrier= &product=,
+// &status=, &sinceId= (only newer sales), &voided=true, &limit= &offset= - newest first
+apiRouter.get('/sales', apiRoute((req, res) => {
+    const { from, to } = req.query;
+    const rangeText = from || to ? `${from || '0000-01-01'}..${to || '9999-12-31'}` : (req.query.range || 'all');
+    const range = parseExportRange(String(rangeText));
+    if (!range) throw apiError(400, `Unknown range "${rangeText}"`);
+
+    const filters = {};
+    EXPORT_FILTERS.filter(name => req.query[name]).forEach(name => {
+        filters[name] = String(req.query[name]);
+    });
+    const base = req.query.voided === 'true' ? salesData.sales : getLedgerSales();
+    const { sales, error } = selectExportSales(range, filters, base);
+    if (error) throw apiError(400, error.replace(/\*\*|`/g, ''));
+
+    let matching = sales;
+    if (req.query.product) {
+        const product = findCatalogFilter('product', String(req.query.product));
+        matching = matching.filter(sale => sale.product === product);
+    }
+    if (req.query.status) {
+        const status = STATUS_ALIASES[String(req.query.status).toLowerCase()];
+        if (!status) throw apiError(400, `Unknown status "${req.query.status}"`);
+        matching = matching.filter(sale => sale.status === status);
+    }
+    if (req.query.sinceId) {
+        matching = matching.filter(sale => sale.id > Number(req.query.sinceId));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), API_MAX_PAGE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const page = matching.slice().reverse().slice(offset, offset + limit);
+    res.json({
+        total: matching.length,
+        offset,
+        limit,
+        nextOffset: offset + limit < matching.length ? offset + limit : null,
+        sales: page.map(toApiSale)
+    });
+}));
+
+// POST /sales - { userId, username?, amount, policy?, date?: "YYYY-MM-DD" }
+apiRouter.post('/sales', requireWriteToken, apiRoute(async (req, res) => {
+    const body = req.body || {};
+    const userId = body.userId ? String(body.userId) : '';
+    const amount = typeof body.amount === 'number' ? body.amount : parseAmount(String(body.amount || ''));
+    if (!userId || !(amount > 0)) {
+        throw apiError(400, 'userId and a positive amount are required');
+    }
+    if (body.date && !/^\d{4}-\d{2}-\d{2}$/.test(body.date)) {
+        throw apiError(400, 'date must be YYYY-MM-DD');
+    }
+
+    // Without a date the sale is credited right now
+    const timestamp = body.date ? getDateForLocalDay(body.date) : new Date();
+    const known = salesData.allTime[userId] || salesData.monthly[userId];
+    const username = String(body.username || (known && known.username) || userId);
+    const policyType = String(body.policy || 'General Policy');
+
+    const sale = addSale(userId, username, Math.round(amount * 100) / 100, policyType, { timestamp, source: 'api' });
+    logAudit({ id: `api:${req.apiToken.name}`, username: `API (${req.apiToken.name})` }, 'addsale', {
+        saleId: sale.id, userId, amount: sale.amount, date: getLocalTimestamp(timestamp).slice(0, 10), policyType
+    });
+    await saveData();
+    res.status(201).json({ sale: toApiSale(sale) });
+    announceGoalCrossings().catch(error => console.error('❌ Error announcing goals:', error));
+}));
+
+apiRouter.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+});
+
+// Express tells error handlers apart by their four arguments
+apiRouter.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        console.error(`❌ API error on ${req.method} ${req.originalUrl}:`, err);
+    }
+    res.status(status).json({ error: status >= 500 ? 'Internal error' : err.message });
+});
+
+app.use('/api/v1', apiRouter);
+
+// ========================================
+// LIVE DASHBOARD (/dashboard)
+// ========================================
+// TV-friendly leaderboard page (dashboard.html). It listens on
+// /dashboard/events (Server-Sent Events) and gets a fresh snapshot whenever a
+// sale is recorded or voided, plus every few minutes for period resets.
+// Add ?guild=<server id> for another server; when ADMIN_SECRET or API_TOKENS
+// are set, open it with ?secret=<ADMIN_SECRET> or ?token=<API token>. The page
+// itself holds no data - only its event stream checks them.
+const DASHBOARD_FILE = path.join(__dirname, 'dashboard.html');
+const DASHBOARD_DEBOUNCE_MS = 1000;
+const DASHBOARD_HEARTBEAT_MS = 25 * 1000;
+const DASHBOARD_REFRESH_MS = 5 * 60 * 1000;
+
+// Open connections per data store, and the broadcasts waiting to go out
+const dashboardClients = new Map();
+const dashboardBroadcasts = new Map();
+
+// Also guards /sales.json and /export.csv - open only when neither ADMIN_SECRET nor API_TOKENS is set.
+// API tokens are only taken as "Authorization: Bearer" (URLs end up in logs and
+// browser history), except on the event stream: EventSource can't send headers.
+function hasDataAccess(req, allowQueryToken = false) {
+    const secret = process.env.ADMIN_SECRET;
+    if (!secret && API_TOKENS.length === 0) return true;
+    return (!!secret && req.query.secret === secret) || !!findApiToken(req) ||
+        (allowQueryToken && !!matchApiToken(req.query.token));
+}
+
+// Everything the page shows, for the current server
+function buildDashboardSnapshot() {
+    checkResets();
+    const today = getPeriodKeys(getLocalTimestamp());
+    const periods = {};
+    ['daily', 'weekly', 'monthly'].forEach(period => {
+        const bucket = salesData[period];
+        const entries = Object.values(bucket);
+        const key = today[PERIOD_KEY_TYPES[period]];
+        periods[period] = {
+            key,
+            label: `${PERIOD_NAMES[period]} · ${describePeriodKey(period, key)}`,
+            total: Math.round(entries.reduce((sum, entry) => sum + entry.total, 0) * 100) / 100,
+            count: entries.reduce((sum, entry) => sum + entry.count, 0),
+            agentCount: entries.length,
+            goal: getTeamGoal(period) || null,
+            agents: toApiRanking(bucket, 10),
+            teams: Object.keys(salesData.teams).length === 0 ? [] : summarizeTeams(bucket).map(team => ({
+                name: team.name,
+                total: Math.round(team.total * 100) / 100,
+                count: team.count
+            }))
+        };
+    });
+
+    const config = getGuildConfig();
+    return {
+        title: config.name || 'BIG Policy Pulse',
+        timezone: getTimezone(),
+        updatedAt: new Date().toISOString(),
+        periods,
+        recent: getLedgerSales().slice(-15).reverse().map(sale => ({
+            id: sale.id,
+            username: sale.username,
+            amount: sale.amount,
+            carrier: sale.carrier,
+            product: sale.product,
+            policyType: sale.policyType,
+            time: new Date(sale.timestamp).toLocaleTimeString('en-US', { timeZone: getTimezone(), hour: 'numeric', minute: '2-digit' })
+        }))
+    };
+}
+
+function sendDashboardSnapshot(res, snapshot = buildDashboardSnapshot()) {
+    res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+}
+
+// Called after sales change - one snapshot per store per second at most
+function notifyDashboards() {
+    const store = currentStore();
+    if (!dashboardClients.has(store) || dashboardBroadcasts.has(store)) return;
+    dashboardBroadcasts.set(store, setTimeout(() => {
+        dashboardBroadcasts.delete(store);
+        const clients = dashboardClients.get(store);
+        if (!clients) return;
+        guildContext.run(store, () => {
+            const snapshot = buildDashboardSnapshot();
+            clients.forEach(res => sendDashboardSnapshot(res, snapshot));
+        });
+    }, DASHBOARD_DEBOUNCE_MS));
+}
+
+app.get('/dashboard', async (req, res) => {
+    try {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.status(200).send(await fs.readFile(DASHBOARD_FILE, 'utf8'));
+    } catch (err) {
+        console.error('❌ Error reading dashboard.html:', err);
+        res.status(500).send('Dashboard unavailable');
+    }
+});
+
+app.get('/dashboard/events', (req, res) => {
+    if (!hasDataAccess(req, true)) {
+        return res.status(401).send('Unauthorized');
+    }
+    if (req.query.guild && !guildConfigs[req.query.guild]) {
+        return res.status(404).send('Unknown server');
+    }
+
+    runInGuild(req.query.guild || null, () => {
+        const store = currentStore();
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Keep proxies (Render, nginx) from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+        sendDashboardSnapshot(res);
+
+        if (!dashboardClients.has(store)) dashboardClients.set(store, new Set());
+        dashboardClients.get(store).add(res);
+
+        let beats = 0;
+        const heartbeat = setInterval(() => {
+            beats += 1;
+            if (beats % Math.round(DASHBOARD_REFRESH_MS / DASHBOARD_HEARTBEAT_MS) === 0) {
+                guildContext.run(store, () => sendDashboardSnapshot(res));
+            } else {
+                res.write(': ping\n\n');
+            }
+        }, DASHBOARD_HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            const clients = dashboardClients.get(store);
+            clients.delete(res);
+            if (clients.size === 0) dashboardClients.delete(store);
+        });
+    }).catch(err => {
+        console.error('❌ Error opening dashboard stream:', err);
+        if (!res.headersSent) res.status(500).send('Error loading sales data');
+    });
+});
+
 // ========================================
 // CONFIGURACIÓN DEL BOT
 // ========================================
@@ -121,7 +618,9 @@ const client = new Client({
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent
-    ] 
+    ],
+    // Needed to receive edits/deletes for messages posted before the bot started
+    partials: [Partials.Message, Partials.Channel]
 });
 
 // Data file - Compatible con Render
@@ -132,236 +631,1557 @@ const DATA_FILE = path.join(DATA_DIR, 'sales.json');
 
 console.log(`📁 Data directory: ${DATA_DIR}`);
 
-// Data structure
-let salesData = {
-    daily: {},
-    weekly: {},
-    monthly: {},
-    allTime: {},
-    dailySnapshot: {},
-    weeklySnapshot: {},
-    monthlySnapshot: {},
-    lastReset: {
-        daily: new Date().toDateString(),
-        weekly: getWeekNumber(new Date()),
-        weeklyTag: '',
-        monthly: new Date().getMonth(),
-        monthlyTag: ''
-    }
+// AP goals per period for the whole team, per agent, and a default for agents
+// without their own. None are set until a manager sets them with !goal.
+const DEFAULT_GOALS = {
+    team: {},
+    agents: {},
+    defaultAgent: {}
 };
 
-// Load data
-async function loadData() {
-    try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        
-        try {
-            await fs.access(DATA_FILE);
-            const data = await fs.readFile(DATA_FILE, 'utf8');
-            salesData = JSON.parse(data);
-            
-            if (!salesData.lastReset.weeklyTag) {
-                salesData.lastReset.weeklyTag = '';
-            }
-            if (!salesData.lastReset.monthlyTag) {
-                salesData.lastReset.monthlyTag = '';
-            }
-            
-            console.log('📂 Data loaded successfully from:', DATA_FILE);
-            
-            const dailyCount = Object.keys(salesData.daily || {}).length;
-            const weeklyCount = Object.keys(salesData.weekly || {}).length;
-            const monthlyCount = Object.keys(salesData.monthly || {}).length;
-            console.log(`   📊 Current data: ${dailyCount} daily, ${weeklyCount} weekly, ${monthlyCount} monthly agents`);
-        } catch (error) {
-            console.log('📝 No data file found at:', DATA_FILE);
-            console.log('   Creating new data file...');
-            await saveData();
+// Version of the data layout - bumped together with a new entry in MIGRATIONS
+const SCHEMA_VERSION = 8;
+
+// Data structure - every guild gets its own copy (see GUILDS below)
+function createSalesData() {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        daily: {},
+        weekly: {},
+        monthly: {},
+        allTime: {},
+        dailySnapshot: {},
+        weeklySnapshot: {},
+        monthlySnapshot: {},
+        sales: [],
+        saleSeq: 0,
+        lastProcessedMessageId: null,
+        auditLog: [],
+        goals: JSON.parse(JSON.stringify(DEFAULT_GOALS)),
+        goalAnnouncements: {},
+        saleReviews: {},
+        teams: {},
+        teamRoster: {},
+        archive: {
+            daily: {},
+            weekly: {},
+            monthly: {}
+        },
+        lastReset: {
+            daily: new Date().toDateString(),
+            weekly: getWeekNumber(new Date()),
+            weeklyTag: '',
+            weekKey: '',
+            monthly: new Date().getMonth(),
+            monthlyTag: ''
         }
-    } catch (error) {
-        console.error('❌ Error in loadData:', error);
-        console.log('   Starting with fresh data...');
-        await saveData();
+    };
+}
+
+// ========================================
+// GUILDS
+// ========================================
+// Each Discord server (office) has its own configuration in guilds.json and its
+// own data file. The server holding SALES_CHANNEL_ID is set up from the env
+// vars and keeps sales.json; other servers get guilds/<id>.json when an admin
+// configures them with !config. Every event runs inside runInGuild, and
+// salesData always points at the dataset of the guild being handled.
+const GUILDS_FILE = path.join(DATA_DIR, 'guilds.json');
+const HOME_DATA_FILE = 'sales.json';
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+// Posts every server starts with (see SCHEDULED POSTS) - the times the bot
+// always used. Month finals only go out on the last day of the month.
+const DEFAULT_SCHEDULES = [
+    { id: 1, type: 'leaderboard', period: 'daily', cron: '0 9,12,15,18,21 * * *' },
+    { id: 2, type: 'final', period: 'weekly', cron: '55 22 * * 0' },
+    { id: 3, type: 'final', period: 'monthly', cron: '55 22 28-31 * *' },
+    { id: 4, type: 'recap', period: 'daily', cron: '55 22 * * *' }
+];
+// Bumped when a default post is added, so existing servers get it once
+const SCHEDULES_VERSION = 2;
+
+let guildConfigs = {};
+const guildStores = new Map();
+const guildContext = new AsyncLocalStorage();
+// Set once the startup catch-up went through every guild - stores opened later have nothing to catch up
+let startupCatchUpDone = false;
+
+// Used outside of any guild (startup, the recompute CLI, GitHub sync)
+const homeStore = { guildId: null, file: DATA_FILE, data: createSalesData(), ready: null, caughtUp: false };
+
+function currentStore() {
+    return guildContext.getStore() || homeStore;
+}
+
+const salesData = new Proxy({}, {
+    get: (target, key) => currentStore().data[key],
+    set: (target, key, value) => {
+        currentStore().data[key] = value;
+        return true;
+    },
+    has: (target, key) => key in currentStore().data,
+    deleteProperty: (target, key) => delete currentStore().data[key],
+    ownKeys: () => Reflect.ownKeys(currentStore().data),
+    getOwnPropertyDescriptor: (target, key) => {
+        const descriptor = Reflect.getOwnPropertyDescriptor(currentStore().data, key);
+        return descriptor && { ...descriptor, configurable: true };
     }
+});
+
+// Only the server of SALES_CHANNEL_ID inherits the home sales.json - any other
+// server starts with a data file of its own
+function createGuildConfig(guildId, name = '') {
+    const homeTaken = Object.values(guildConfigs).some(config => config.dataFile === HOME_DATA_FILE);
+    const homeChannel = client.channels.cache.get(process.env.SALES_CHANNEL_ID);
+    const isHome = !homeTaken && !!homeChannel && !!homeChannel.guild && homeChannel.guild.id === guildId;
+    return {
+        guildId,
+        name,
+        salesChannelIds: [],
+        leaderboardChannelId: null,
+        adminChannelId: null,
+        adminRoleId: null,
+        backupChannelId: null,
+        monthlyFinalBasis: 'submitted',
+        timezone: DEFAULT_TIMEZONE,
+        schedules: DEFAULT_SCHEDULES.map(schedule => ({ ...schedule, channelId: null, timezone: null, paused: false })),
+        schedulesVersion: SCHEDULES_VERSION,
+        dataFile: isHome ? HOME_DATA_FILE : path.join('guilds', `${guildId}.json`)
+    };
 }
 
-// Save data - Simplificado sin backup a Discord
-async function saveData() {
+async function loadGuildConfigs() {
     try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        await fs.writeFile(DATA_FILE, JSON.stringify(salesData, null, 2));
-        console.log(`💾 Data saved to: ${DATA_FILE}`);
+        guildConfigs = JSON.parse(await fs.readFile(GUILDS_FILE, 'utf8'));
+        Object.values(guildConfigs).forEach(config => {
+            // Older configs only had leaderboard posting hours
+            if (!config.schedules) {
+                config.schedules = createGuildConfig(config.guildId).schedules;
+                if (config.postHours) {
+                    config.schedules[0].cron = `0 ${config.postHours.join(',')} * * *`;
+                    config.schedules[0].paused = config.postHours.length === 0;
+                }
+                delete config.postHours;
+            }
+            // v2: the daily recap the help text always promised
+            if ((config.schedulesVersion || 1) < 2) {
+                const id = config.schedules.reduce((max, schedule) => Math.max(max, schedule.id), 0) + 1;
+                config.schedules.push({ ...DEFAULT_SCHEDULES[3], id, channelId: null, timezone: null, paused: false });
+            }
+            config.schedulesVersion = SCHEDULES_VERSION;
+        });
+        const home = Object.values(guildConfigs).find(config => config.dataFile === HOME_DATA_FILE);
+        if (home) {
+            homeStore.guildId = home.guildId;
+            guildStores.set(home.guildId, homeStore);
+        }
+        console.log(`🏢 Guild config loaded: ${Object.keys(guildConfigs).length} server(s)`);
     } catch (error) {
-        console.error('❌ Error saving data:', error);
+        guildConfigs = {};
     }
 }
 
-// ========== Daily backup of sales.json (end of day, Pacific) ==========
-async function backupDailySales() {
+async function saveGuildConfigs() {
     try {
-        const backupsDir = path.join(DATA_DIR, 'backups');
-        await fs.mkdir(backupsDir, { recursive: true });
-        const now = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-        const tag = now.toISOString().slice(0, 10); // YYYY-MM-DD (Pacific day)
-        const backupFile = path.join(backupsDir, `sales-${tag}.json`);
-        await fs.copyFile(DATA_FILE, backupFile);
-        console.log(`📦 Daily backup created: ${backupFile}`);
-    } catch (err) {
-        console.error('❌ Daily backup error:', err?.message || err);
+        await queueFileWrite(GUILDS_FILE, () => JSON.stringify(guildConfigs, null, 2));
+    } catch (error) {
+        console.error('❌ Error saving guild config:', error);
     }
 }
 
-// Función para sincronizar con GitHub
-async function syncToGitHub() {
-    if (!process.env.GITHUB_TOKEN) {
-        console.log('⚠️ No GitHub token configured, skipping GitHub sync');
-        return false;
-    }
+// First start after the upgrade: the server with SALES_CHANNEL_ID becomes the
+// home guild, configured from the env vars
+async function bootstrapHomeGuild() {
+    if (Object.values(guildConfigs).some(config => config.dataFile === HOME_DATA_FILE)) return;
 
-    try {
-        console.log('🔄 Starting GitHub sync (GitHub API)...');
+    const channel = client.channels.cache.get(process.env.SALES_CHANNEL_ID);
+    if (!channel || !channel.guild) return;
 
-        // Asegurar que el archivo existe y leer contenido
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        const raw = await fs.readFile(DATA_FILE, 'utf8');
+    const config = createGuildConfig(channel.guild.id, channel.guild.name);
+    config.salesChannelIds = [channel.id];
+    config.leaderboardChannelId = process.env.LEADERBOARD_CHANNEL_ID || null;
+    config.adminChannelId = process.env.ADMIN_CHANNEL_ID || null;
+    guildConfigs[config.guildId] = config;
+    guildStores.set(config.guildId, Object.assign(homeStore, { guildId: config.guildId }));
+    await saveGuildConfigs();
+    console.log(`🏠 Home guild set up from env vars: ${channel.guild.name}`);
+}
 
-        const contentBase64 = Buffer.from(raw, 'utf8').toString('base64');
+// Configuration of the guild being handled (defaults when it has none yet)
+function getGuildConfig(guildId = currentStore().guildId) {
+    return guildConfigs[guildId] || createGuildConfig(guildId);
+}
 
-        // Stats para el mensaje
-        const totalDaily = Object.keys(salesData.daily || {}).length;
-        const totalWeekly = Object.keys(salesData.weekly || {}).length;
-        const totalMonthly = Object.keys(salesData.monthly || {}).length;
+function getTimezone() {
+    return getGuildConfig().timezone || DEFAULT_TIMEZONE;
+}
 
-        const pacificTime = new Date().toLocaleString('en-US', {
-            timeZone: 'America/Los_Angeles',
-            month: 'short',
-            day: '2-digit',
-            year: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: true,
-        });
+function isSalesChannel(channelId) {
+    return getGuildConfig().salesChannelIds.includes(channelId);
+}
 
-        const commitMessage = `Auto-update sales data - ${pacificTime} - ${totalDaily}d ${totalWeekly}w ${totalMonthly}m agents`;
+function getConfiguredChannel(key) {
+    const channelId = getGuildConfig()[key];
+    return channelId ? client.channels.cache.get(channelId) : undefined;
+}
 
-        // Intentar obtener el sha actual del archivo (si ya existe)
-        let sha;
-        try {
-            const existing = await githubApiRequest(
-                '/repos/juanfe14-dev/big-policy-bot/contents/data/sales.json?ref=main',
-                'GET'
-            );
-            sha = existing.sha;
-        } catch (e) {
-            console.log('ℹ️ sales.json does not exist yet in repo, it will be created');
-        }
-
-        // Preparar body para la API de GitHub
-        const body = {
-            message: commitMessage,
-            content: contentBase64,
-            branch: 'main',
-        };
-        if (sha) {
-            body.sha = sha;
+function getGuildStore(guildId) {
+    if (!guildId) return homeStore;
+    if (!guildStores.has(guildId)) {
+        // Claim the data file right away so two new guilds never share one
+        if (!guildConfigs[guildId]) {
+            const guild = client.guilds.cache.get(guildId);
+            guildConfigs[guildId] = createGuildConfig(guildId, guild ? guild.name : '');
+            saveGuildConfigs();
+            startGuildSchedules(guildId);
         }
+        const config = guildConfigs[guildId];
+        const store = config.dataFile === HOME_DATA_FILE
+            ? Object.assign(homeStore, { guildId })
+            : { guildId, file: path.join(DATA_DIR, config.dataFile), data: createSalesData(), ready: null, caughtUp: startupCatchUpDone };
+        guildStores.set(guildId, store);
+    }
+    return guildStores.get(guildId);
+}
 
-        // PUT crea o actualiza el archivo en GitHub
-        await githubApiRequest(
-            '/repos/juanfe14-dev/big-policy-bot/contents/data/sales.json',
-            'PUT',
-            body
-        );
-
-        console.log('✅ Successfully synced to GitHub (API)');
-        console.log(`   📊 Updated: ${totalDaily} daily, ${totalWeekly} weekly, ${totalMonthly} monthly agents`);
-        return true;
-    } catch (error) {
-        console.error('❌ Error syncing to GitHub (API):', error.message);
-        return false;
+// Run fn with salesData pointing at the guild's data (loaded on first use).
+// With create: false, a server without a config is skipped instead of getting
+// one (and a data file) - only commands set a new server up.
+function runInGuild(guildId, fn, { create = true } = {}) {
+    if (!create && guildId && !guildConfigs[guildId]) {
+        return Promise.resolve();
     }
+    const store = getGuildStore(guildId);
+    return guildContext.run(store, async () => {
+        if (!store.ready) {
+            store.ready = loadData();
+        }
+        await store.ready;
+        return fn();
+    });
 }
 
-// Get week number
-function getWeekNumber(date) {
-    const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
-    const pastDaysOfYear = (date - firstDayOfYear) / 86400000;
-    return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
+// Run fn once for every configured guild (scheduled posts, catch-up)
+async function forEachGuild(fn) {
+    for (const guildId of Object.keys(guildConfigs)) {
+        try {
+            await runInGuild(guildId, () => fn(getGuildConfig(guildId)));
+        } catch (error) {
+            console.error(`❌ Error in guild ${guildId}:`, error);
+        }
+    }
 }
 
-// Check period resets - CORREGIDO PARA FILTRAR POR MES CORRECTAMENTE
-function checkResets() {
-    const now = new Date();
-    const pacificTime = new Date(now.toLocaleString("en-US", {timeZone: "America/Los_Angeles"}));
-    
-    const currentDay = pacificTime.toDateString();
-    const currentWeek = getWeekNumber(pacificTime);
-    const currentMonth = pacificTime.getMonth();
-    const currentYear = pacificTime.getFullYear();
+// ========================================
+// DATA SCHEMA
+// ========================================
+// Data files carry a schemaVersion. Older files are upgraded on load by the
+// migrations below, in order (the original is kept in backups/ first), and a
+// file that doesn't look like sales data is never loaded - or overwritten.
 
-    let wasReset = false;
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
 
-    // Daily reset
-    if (salesData.lastReset.daily !== currentDay) {
-        salesData.dailySnapshot = JSON.parse(JSON.stringify(salesData.daily));
-        salesData.daily = {};
-        salesData.lastReset.daily = currentDay;
-        wasReset = true;
-        console.log(`🔄 Daily reset executed for ${currentDay}`);
-    }
+// Problems that make a file unsafe to load ([] when it is fine)
+function validateSalesData(data) {
+    if (!isPlainObject(data)) return ['the file is not a JSON object'];
 
-    // Weekly reset (Mondays)
-    const lastWeekReset = `${currentYear}-W${currentWeek}`;
-    if (!salesData.lastReset.weeklyTag || salesData.lastReset.weeklyTag !== lastWeekReset) {
-        if (pacificTime.getDay() === 1) {
-            salesData.weeklySnapshot = JSON.parse(JSON.stringify(salesData.weekly));
-            salesData.weekly = {};
-            salesData.lastReset.weekly = currentWeek;
-            salesData.lastReset.weeklyTag = lastWeekReset;
-            wasReset = true;
-            console.log(`🔄 Weekly reset executed for week ${currentWeek}`);
+    const problems = [];
+    const version = data.schemaVersion || 0;
+    if (version > SCHEMA_VERSION) {
+        problems.push(`schema v${version} is newer than this bot understands (v${SCHEMA_VERSION})`);
+    }
+    if (!isPlainObject(data.lastReset)) {
+        problems.push('lastReset is missing');
+    }
+    ['daily', 'weekly', 'monthly', ...(version >= 1 ? ['allTime'] : [])].forEach(period => {
+        if (!isPlainObject(data[period])) {
+            problems.push(`${period} is missing`);
+            return;
+        }
+        Object.entries(data[period]).forEach(([userId, entry]) => {
+            if (!isPlainObject(entry) || !Number.isFinite(entry.total) || !Number.isFinite(entry.count)) {
+                problems.push(`${period}["${userId}"] has no valid total/count`);
+            }
+        });
+    });
+    if (version >= 1) {
+        if (!Array.isArray(data.sales)) {
+            problems.push('the sale ledger is missing');
+        } else {
+            data.sales.forEach((sale, i) => {
+                if (!isPlainObject(sale) || !Number.isFinite(sale.amount) || !sale.userId || !sale.timestamp) {
+                    problems.push(`sales[${i}] is not a valid sale record`);
+                } else if (version >= 4 && (!SALE_STATUSES[sale.status] || !Array.isArray(sale.statusHistory))) {
+                    problems.push(`sales[${i}] has an unknown status "${sale.status}"`);
+                }
+            });
+        }
+        if (!isPlainObject(data.archive)) {
+            problems.push('archive is missing');
         }
     }
+    return problems;
+}
 
-    // Monthly reset - CORRECCIÓN AQUÍ
-    // El tag debe incluir tanto año como mes para detectar cambios correctamente
-    const lastMonthReset = `${currentYear}-${String(currentMonth).padStart(2, '0')}`;
-    
-    // Si no existe el tag O si el tag es diferente al mes actual
-    if (!salesData.lastReset.monthlyTag || salesData.lastReset.monthlyTag !== lastMonthReset) {
-        console.log(`🔄 Monthly reset detected: stored tag "${salesData.lastReset.monthlyTag}" vs current "${lastMonthReset}"`);
-        salesData.monthlySnapshot = JSON.parse(JSON.stringify(salesData.monthly));
-        salesData.monthly = {};
-        salesData.lastReset.monthly = currentMonth;
-        salesData.lastReset.monthlyTag = lastMonthReset;
-        wasReset = true;
-        console.log(`🔄 Monthly reset executed for month ${currentMonth + 1} (${lastMonthReset})`);
+// Every per-agent bucket in a dataset (current, snapshots, archive, opening balances)
+function getAllBuckets(data) {
+    const buckets = ['daily', 'weekly', 'monthly', 'allTime', 'dailySnapshot', 'weeklySnapshot', 'monthlySnapshot']
+        .map(period => data[period]);
+    ['daily', 'weekly', 'monthly'].forEach(period => {
+        buckets.push(...Object.values((data.archive || {})[period] || {}));
+    });
+    if (data.openingBalances) {
+        buckets.push(data.openingBalances.allTime, ...['daily', 'weekly', 'monthly'].map(period => (data.openingBalances[period] || {}).data));
     }
+    return buckets.filter(isPlainObject);
+}
 
-    if (wasReset) {
-        saveData();
+// Fold one agent key into another inside a bucket
+function mergeBucketEntry(bucket, fromKey, toKey) {
+    const from = bucket[fromKey];
+    if (!from || fromKey === toKey) return;
+    delete bucket[fromKey];
+    if (!bucket[toKey]) {
+        bucket[toKey] = from;
+        return;
+    }
+    const to = bucket[toKey];
+    to.total = Math.round((to.total + from.total) * 100) / 100;
+    to.count += from.count;
+    if (from.policies) {
+        to.policies = to.policies || {};
+        Object.entries(from.policies).forEach(([type, count]) => {
+            to.policies[type] = (to.policies[type] || 0) + count;
+        });
+    }
+    if (from.policyDetails) {
+        to.policyDetails = [...(to.policyDetails || []), ...from.policyDetails];
     }
 }
 
-// Parse MULTIPLE sales from a single message
-function parseMultipleSales(message) {
-    const fullMessage = message.replace(/\n/g, ' ');
-    const pattern = /(?:\$\s*([\d,]+(?:\.\d{2})?))|([\d,]+(?:\.\d{2})?)\s*\$/g;
-    const matches = [...fullMessage.matchAll(pattern)];
-    
-    if (!matches || matches.length === 0) {
-        return [];
-    }
-    
-    const sales = [];
-    
-    matches.forEach((match, index) => {
-        const amountStr = match[1] || match[2];
-        const amount = parseFloat(amountStr.replace(/,/g, ''));
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'fields added over time (week/month tags, ledger, audit log, goals, teams, archive)',
+        migrate(data) {
+            if (!data.lastReset.weeklyTag) data.lastReset.weeklyTag = '';
+            if (!data.lastReset.monthlyTag) data.lastReset.monthlyTag = '';
+            if (!data.allTime) data.allTime = {};
+            if (!Array.isArray(data.sales)) data.sales = [];
+            if (!Array.isArray(data.auditLog)) data.auditLog = [];
+            if (!data.goals) data.goals = JSON.parse(JSON.stringify(DEFAULT_GOALS));
+            if (!data.goalAnnouncements) data.goalAnnouncements = {};
+            if (!data.teams) data.teams = {};
+            if (!data.teamRoster) data.teamRoster = {};
+            if (data.lastProcessedMessageId === undefined) data.lastProcessedMessageId = null;
+            if (!data.archive) {
+                data.archive = { daily: {}, weekly: {}, monthly: {} };
+                // Keep the last closed month/day that the old snapshots still hold
+                const taggedMonth = getMonthKeyFromTag(data.lastReset.monthlyTag);
+                const closedMonth = taggedMonth && shiftMonthKey(taggedMonth, -1);
+                if (closedMonth && Object.keys(data.monthlySnapshot || {}).length > 0) {
+                    data.archive.monthly[closedMonth] = data.monthlySnapshot;
+                }
+                const resetDay = getDayKeyFromDateString(data.lastReset.daily);
+                if (resetDay && Object.keys(data.dailySnapshot || {}).length > 0) {
+                    data.archive.daily[shiftDayKey(resetDay, -1)] = data.dailySnapshot;
+                }
+            }
+            if (!data.saleSeq) {
+                data.saleSeq = data.sales.reduce((max, sale) => Math.max(max, sale.id || 0), 0);
+            }
+        }
+    },
+    {
+        version: 2,
+        description: '"user_<name>" records moved to the agent\'s Discord id (one record per name when the id is unknown)',
+        migrate(data) {
+            const buckets = getAllBuckets(data);
+            const idsByUsername = {};
+            data.sales.forEach(sale => {
+                idsByUsername[sale.username] = sale.userId;
+            });
+            buckets.forEach(bucket => Object.entries(bucket).forEach(([key, entry]) => {
+                if (!key.startsWith('user_') && entry.username) idsByUsername[entry.username] = key;
+            }));
+
+            let moved = 0;
+            buckets.forEach(bucket => Object.keys(bucket).forEach(key => {
+                if (!key.startsWith('user_')) return;
+                const username = bucket[key].username || key.slice('user_'.length);
+                const target = idsByUsername[username] || `user_${username}`;
+                if (target !== key) {
+                    mergeBucketEntry(bucket, key, target);
+                    moved++;
+                }
+            }));
+            console.log(`   👤 ${moved} legacy agent records merged`);
+        }
+    },
+    {
+        version: 3,
+        description: 'policy details from before the ledger imported as ledger records',
+        migrate(data) {
+            // The same sale shows up in the day, week and month buckets - count
+            // each (agent, amount, type, time) as often as one bucket lists it
+            const found = new Map();
+            const sourceBuckets = getAllBuckets(data).filter(bucket => bucket !== data.allTime);
+            sourceBuckets.forEach(bucket => {
+                const seen = new Map();
+                Object.entries(bucket).forEach(([userId, entry]) => {
+                    (entry.policyDetails || []).forEach(detail => {
+                        if (detail.saleId || !detail.date || !Number.isFinite(detail.amount)) return;
+                        const key = JSON.stringify([userId, detail.amount, detail.type, detail.date]);
+                        seen.set(key, (seen.get(key) || 0) + 1);
+                        if (!found.has(key) || found.get(key).count < seen.get(key)) {
+                            found.set(key, { userId, username: entry.username, detail, count: seen.get(key) });
+                        }
+                    });
+                });
+            });
+
+            const imported = [];
+            found.forEach(({ userId, username, detail, count }) => {
+                for (let i = 0; i < count; i++) {
+                    const createdAt = new Date(detail.date);
+                    const { carrier, product } = resolvePolicy(detail.type || '');
+                    data.saleSeq = (data.saleSeq || 0) + 1;
+                    imported.push({
+                        id: data.saleSeq,
+                        messageId: null,
+                        channelId: null,
+                        userId,
+                        username,
+                        amount: detail.amount,
+                        carrier,
+                        product,
+                        policyType: detail.type || 'General Policy',
+                        timestamp: createdAt.toISOString(),
+                        localTimestamp: getLocalTimestamp(createdAt),
+                        source: 'import',
+                        replaces: null,
+                        voided: null
+                    });
+                }
+            });
+
+            // Link the old details to their new records so corrections find them
+            sourceBuckets.forEach(bucket => Object.entries(bucket).forEach(([userId, entry]) => {
+                const unclaimed = imported.filter(sale => sale.userId === userId);
+                (entry.policyDetails || []).forEach(detail => {
+                    if (detail.saleId) return;
+                    const sale = unclaimed.find(candidate => candidate.amount === detail.amount &&
+                        candidate.policyType === (detail.type || 'General Policy') &&
+                        candidate.timestamp === new Date(detail.date).toISOString());
+                    if (sale) {
+                        detail.saleId = sale.id;
+                        unclaimed.splice(unclaimed.indexOf(sale), 1);
+                    }
+                });
+            }));
+
+            data.sales.push(...imported);
+
+            // Files that already had opening balances counted these sales there
+            if (data.openingBalances && imported.length > 0) {
+                const opening = data.openingBalances;
+                opening.allTime = subtractBuckets(opening.allTime, aggregateSales(imported));
+                [['daily', 'day'], ['weekly', 'week'], ['monthly', 'month']].forEach(([period, keyType]) => {
+                    if (!opening[period]) return;
+                    const inPeriod = imported.filter(sale => getSalePeriodKeys(sale)[keyType] === opening[period].key);
+                    opening[period].data = subtractBuckets(opening[period].data, aggregateSales(inPeriod));
+                });
+            }
+            console.log(`   🧾 ${imported.length} pre-ledger sales imported into the ledger`);
+        }
+    },
+    {
+        version: 4,
+        description: 'policy status on every sale (earlier sales start as submitted)',
+        migrate(data) {
+            data.sales.forEach(sale => {
+                if (!sale.status) sale.status = 'submitted';
+                if (!Array.isArray(sale.statusHistory)) sale.statusHistory = [];
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'sale posts waiting for a confirmation',
+        migrate(data) {
+            if (!isPlainObject(data.saleReviews)) data.saleReviews = {};
+        }
+    },
+    {
+        version: 6,
+        description: 'week of the weekly totals stored as a week key (2025-W46)',
+        migrate(data) {
+            if (!data.lastReset.weekKey) {
+                // The week of the newest sale in the bucket, else the last day the bot ran
+                const lastDay = getDayKeyFromDateString(data.lastReset.daily) || getLocalTimestamp().slice(0, 10);
+                data.lastReset.weekKey = getBucketWeekTag(data.weekly || {}, lastDay);
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'built-in $2,000 daily goal per agent removed (only goals set with !goal are announced)',
+        migrate(data) {
+            const defaults = data.goals.defaultAgent || {};
+            const setByManager = data.auditLog.some(entry => entry.action === 'goal-set' &&
+                entry.kind === 'goal' && entry.name === 'every agent (default)' && entry.period === 'daily');
+            if (defaults.daily === 2000 && !setByManager) {
+                delete defaults.daily;
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'sale field pacificTimestamp renamed to localTimestamp (the timezone is configurable)',
+        migrate(data) {
+            data.sales.forEach(sale => {
+                if (sale.pacificTimestamp !== undefined) {
+                    if (!sale.localTimestamp) sale.localTimestamp = sale.pacificTimestamp;
+                    delete sale.pacificTimestamp;
+                }
+            });
+        }
+    }
+];
+
+// Run every migration newer than the file - returns the version it started at
+function migrateSalesData(data) {
+    const from = data.schemaVersion || 0;
+    MIGRATIONS.filter(migration => migration.version > from).forEach(migration => {
+        migration.migrate(data);
+        data.schemaVersion = migration.version;
+        console.log(`🔧 Data upgraded to schema v${migration.version}: ${migration.description}`);
+    });
+    return from;
+}
+
+// An agent known only as "user_<name>" posts again - their old records move to their id
+function claimLegacyRecords(user) {
+    const legacyKey = `user_${user.username}`;
+    const buckets = getAllBuckets(currentStore().data).filter(bucket => bucket[legacyKey]);
+    if (buckets.length === 0) return false;
+
+    buckets.forEach(bucket => mergeBucketEntry(bucket, legacyKey, user.id));
+    salesData.sales.forEach(sale => {
+        if (sale.userId === legacyKey) sale.userId = user.id;
+    });
+    console.log(`👤 Legacy records of ${user.username} linked to their Discord id`);
+    saveData();
+    return true;
+}
+
+// ========================================
+// STORAGE
+// ========================================
+// STORAGE_BACKEND=json (default) keeps each server's whole dataset in its JSON
+// file. STORAGE_BACKEND=sqlite moves the sale ledger into a SQLite database
+// next to it (sales.db, needs better-sqlite3) and keeps the rest in the JSON.
+// Switching backends migrates the ledger on the next start, either way.
+// Every write goes to a temp file that is renamed over the real one, and
+// writes to the same file run one at a time.
+const writeQueues = new Map();
+
+// The recompute CLI's dry run loads (and upgrades) data in memory only
+let readOnly = false;
+
+function setReadOnly(value) {
+    readOnly = value;
+}
+
+async function writeFileAtomic(file, content) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const handle = await fs.open(tempFile, 'w');
+    try {
+        await handle.writeFile(content);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempFile, file);
+}
+
+// Saves requested while a write is running collapse into one write of the
+// latest data, serialized when it starts
+function queueFileWrite(file, serialize) {
+    if (!writeQueues.has(file)) {
+        writeQueues.set(file, { tail: Promise.resolve(), next: null });
+    }
+    const queue = writeQueues.get(file);
+    if (!queue.next) {
+        queue.next = queue.tail.then(() => {
+            queue.next = null;
+            return writeFileAtomic(file, serialize());
+        });
+        queue.tail = queue.next.catch(() => {});
+    }
+    return queue.next;
+}
+
+// Parsed JSON file, null when it doesn't exist (unreadable files throw)
+async function readJsonFile(file) {
+    let raw;
+    try {
+        raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    return JSON.parse(raw);
+}
+
+const ledgerDatabases = new Map();
+
+function openLedgerDatabase(file) {
+    const dbFile = file.replace(/\.json$/, '') + '.db';
+    if (ledgerDatabases.has(dbFile)) return ledgerDatabases.get(dbFile);
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('the SQLite ledger needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    const db = new Database(dbFile);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS sales (
+        id INTEGER PRIMARY KEY,
+        message_id TEXT,
+        user_id TEXT,
+        amount REAL,
+        local_timestamp TEXT,
+        voided INTEGER NOT NULL DEFAULT 0,
+        record TEXT NOT NULL
+    )`);
+    // Databases from before the timezone setting named the column after Pacific time
+    if (db.prepare('PRAGMA table_info(sales)').all().some(column => column.name === 'pacific_timestamp')) {
+        db.exec('ALTER TABLE sales RENAME COLUMN pacific_timestamp TO local_timestamp');
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS sales_message ON sales (message_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS sales_user ON sales (user_id, local_timestamp)');
+
+    const upsert = db.prepare(`INSERT OR REPLACE INTO sales (id, message_id, user_id, amount, local_timestamp, voided, record)
+        VALUES (@id, @messageId, @userId, @amount, @localTimestamp, @voided, @record)`);
+    const removeMissing = db.prepare('DELETE FROM sales WHERE id NOT IN (SELECT value FROM json_each(?))');
+    const ledger = {
+        db,
+        file: dbFile,
+        // Last saved JSON of every record, so a save only writes what changed
+        saved: new Map(),
+        read() {
+            const sales = db.prepare('SELECT record FROM sales ORDER BY id').all().map(row => JSON.parse(row.record));
+            sales.forEach(sale => ledger.saved.set(sale.id, JSON.stringify(sale)));
+            return sales;
+        },
+        write: db.transaction((sales, replace = false) => {
+            if (replace) {
+                db.exec('DELETE FROM sales');
+                ledger.saved.clear();
+            }
+            let written = 0;
+            sales.forEach(sale => {
+                const record = JSON.stringify(sale);
+                if (ledger.saved.get(sale.id) === record) return;
+                upsert.run({
+                    id: sale.id,
+                    messageId: sale.messageId || null,
+                    userId: sale.userId,
+                    amount: sale.amount,
+                    localTimestamp: sale.localTimestamp || null,
+                    voided: sale.voided ? 1 : 0,
+                    record
+                });
+                ledger.saved.set(sale.id, record);
+                written++;
+            });
+            // The database mirrors the ledger in memory - after a restore it has fewer records
+            const ids = sales.map(sale => sale.id);
+            const removed = removeMissing.run(JSON.stringify(ids)).changes;
+            if (removed > 0) {
+                const kept = new Set(ids);
+                [...ledger.saved.keys()].filter(id => !kept.has(id)).forEach(id => ledger.saved.delete(id));
+            }
+            return written + removed;
+        })
+    };
+    ledgerDatabases.set(dbFile, ledger);
+    return ledger;
+}
+
+const storageBackends = {
+    json: {
+        async load(file) {
+            const data = await readJsonFile(file);
+            if (data && data.ledgerStore === 'sqlite') {
+                // Coming back from the SQLite backend - take the ledger with us
+                const ledger = openLedgerDatabase(file);
+                data.sales = ledger.read();
+                delete data.ledgerStore;
+                console.log(`🗄️ ${data.sales.length} ledger records moved back from ${ledger.file} to ${file}`);
+            }
+            return data;
+        },
+        save(file, data) {
+            return queueFileWrite(file, () => JSON.stringify(data, null, 2));
+        }
+    },
+    sqlite: {
+        async load(file) {
+            const data = await readJsonFile(file);
+            if (readOnly && data && data.ledgerStore !== 'sqlite') {
+                return data;
+            }
+            const ledger = openLedgerDatabase(file);
+            if (data && data.ledgerStore !== 'sqlite' && Array.isArray(data.sales)) {
+                // The JSON file still holds the ledger - it replaces the database
+                ledger.write(data.sales, true);
+                console.log(`🗄️ ${data.sales.length} ledger records migrated from ${file} to ${ledger.file}`);
+            }
+            if (data) {
+                data.sales = ledger.read();
+                delete data.ledgerStore;
+            }
+            return data;
+        },
+        async save(file, data) {
+            const ledger = openLedgerDatabase(file);
+            ledger.write(data.sales || []);
+            await queueFileWrite(file, () => {
+                const { sales, ...rest } = data;
+                return JSON.stringify({ ...rest, ledgerStore: 'sqlite' }, null, 2);
+            });
+        }
+    }
+};
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+if (!storageBackends[STORAGE_BACKEND]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${process.env.STORAGE_BACKEND}" - use json or sqlite`);
+}
+const storage = storageBackends[STORAGE_BACKEND];
+
+// Load data - refuses to go on (instead of starting empty) when the file can't be read
+async function loadData() {
+    const store = currentStore();
+    store.invalid = false;
+    let data;
+    try {
+        data = await storage.load(store.file);
+    } catch (error) {
+        store.invalid = true;
+        console.error(`❌ Could not read ${store.file} (${STORAGE_BACKEND} storage):`, error.message);
+        console.error('   Fix or restore the file - it will not be overwritten with empty data');
+        throw error;
+    }
+
+    // Render's disk doesn't survive a deploy - bring back the latest backup
+    // instead of starting over (and later syncing nothing over the good copy)
+    let restored = false;
+    if (!data || isEmptySalesData(data)) {
+        console.log(`📭 ${data ? 'Data file is empty' : 'No data file found'} at: ${store.file} - looking for a backup...`);
+        const backup = await findStartupBackup();
+        if (backup) {
+            data = backup;
+            restored = true;
+        }
+    }
+
+    if (!data) {
+        console.log('📝 No backup to restore either');
+        console.log('   Creating new data file...');
+        await saveData();
+        return;
+    }
+
+    try {
+        await useLoadedData(data);
+    } catch (error) {
+        store.invalid = true;
+        throw error;
+    }
+    if (restored) {
+        await saveData();
+    }
+}
+
+// Validate, upgrade and install a dataset read from disk or from a backup
+async function useLoadedData(data) {
+    const store = currentStore();
+    const problems = validateSalesData(data);
+    if (problems.length > 0) {
+        console.error(`❌ ${store.file} doesn't look like valid sales data:`);
+        problems.slice(0, 10).forEach(problem => console.error(`   - ${problem}`));
+        console.error('   Fix or restore the file - it will not be overwritten');
+        throw new Error(`invalid data file: ${problems[0]}`);
+    }
+
+    const fromVersion = data.schemaVersion || 0;
+    if (fromVersion < SCHEMA_VERSION && !readOnly) {
+        // Keep the file as it was before upgrading it (the first copy is the one worth keeping)
+        const backupFile = path.join(DATA_DIR, 'backups', `${path.basename(store.file, '.json')}-schema-v${fromVersion}.json`);
+        const exists = await fs.access(backupFile).then(() => true, () => false);
+        if (!exists) {
+            await writeFileAtomic(backupFile, JSON.stringify(data, null, 2));
+            console.log(`📦 Pre-upgrade copy saved to: ${backupFile}`);
+        }
+    }
+
+    // Upgraded before it replaces the data in use, so a failure leaves that untouched
+    migrateSalesData(data);
+
+    const remaining = validateSalesData(data);
+    if (remaining.length > 0) {
+        remaining.slice(0, 10).forEach(problem => console.error(`   - ${problem}`));
+        throw new Error(`data file still invalid after upgrading: ${remaining[0]}`);
+    }
+
+    store.data = data;
+    
+    ensureOpeningBalances();
+    
+    console.log(`📂 Data loaded successfully from: ${store.file} (${STORAGE_BACKEND} storage)`);
+    
+    const dailyCount = Object.keys(salesData.daily || {}).length;
+    const weeklyCount = Object.keys(salesData.weekly || {}).length;
+    const monthlyCount = Object.keys(salesData.monthly || {}).length;
+    console.log(`   📊 Current data: ${dailyCount} daily, ${weeklyCount} weekly, ${monthlyCount} monthly agents`);
+    console.log(`   🧾 Ledger: ${salesData.sales.length} sale records`);
+
+    if (fromVersion < SCHEMA_VERSION) {
+        await saveData();
+    }
+}
+
+// Save data - safe to call without await, writes are queued
+async function saveData() {
+    const store = currentStore();
+    if (store.invalid) {
+        console.error(`⛔ Not saving over ${store.file} - it failed validation on load`);
+        return;
+    }
+    if (readOnly) {
+        return;
+    }
+    try {
+        await storage.save(store.file, store.data);
+        console.log(`💾 Data saved to: ${store.file}`);
+    } catch (error) {
+        console.error('❌ Error saving data:', error);
+    }
+}
+
+// ========================================
+// BACKUPS
+// ========================================
+// Each dataset is copied to every target listed in BACKUP_TARGETS
+// (default: local,github,discord - each one only once it is configured):
+//   local   - BACKUP_DIR (default data/backups), one file per day, pruned by retention
+//   github  - GITHUB_BACKUP_REPO / GITHUB_BACKUP_BRANCH / GITHUB_BACKUP_PATH, git history is the snapshot list
+//   s3      - S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX (any S3-compatible store)
+//   discord - attached to the server's backup channel (!config backups #channel)
+// Retention keeps the last BACKUP_KEEP_DAYS daily files and the last file of
+// each of the last BACKUP_KEEP_MONTHS months.
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
+const BACKUP_KEEP_DAYS = parseInt(process.env.BACKUP_KEEP_DAYS, 10) || 30;
+const BACKUP_KEEP_MONTHS = parseInt(process.env.BACKUP_KEEP_MONTHS, 10) || 12;
+const GITHUB_BACKUP = {
+    repo: process.env.GITHUB_BACKUP_REPO || 'juanfe14-dev/big-policy-bot',
+    branch: process.env.GITHUB_BACKUP_BRANCH || 'main',
+    path: process.env.GITHUB_BACKUP_PATH || 'data/sales.json'
+};
+const S3_BACKUP = {
+    endpoint: process.env.S3_ENDPOINT,
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || 'big-policy-bot/'
+};
+
+// "sales-2025-11-03.json" style names - the day backups retention applies to
+const DAILY_BACKUP_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Plain HTTPS request for the S3 and Discord targets - resolves { status, body }
+function httpsRequest(url, { method = 'GET', headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = https.request(url, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        if (body) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+// Day backups that fall outside the retention rules
+function getExpiredBackups(names) {
+    const days = names
+        .map(name => (name.match(DAILY_BACKUP_PATTERN) || [])[2])
+        .filter(Boolean)
+        .sort()
+        .reverse();
+    const keep = new Set(days.slice(0, BACKUP_KEEP_DAYS));
+    const months = new Set();
+    days.forEach(day => {
+        const month = day.slice(0, 7);
+        if (!months.has(month) && months.size < BACKUP_KEEP_MONTHS) {
+            months.add(month);
+            keep.add(day);
+        }
+    });
+    return names.filter(name => {
+        const match = name.match(DAILY_BACKUP_PATTERN);
+        return match && !keep.has(match[2]);
+    });
+}
+
+// AWS Signature V4 - works with AWS, R2, B2, MinIO, Spaces...
+function s3Request(method, key, { query = {}, body = '' } = {}) {
+    const crypto = require('crypto');
+    const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+    const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest();
+    const encode = value => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    const endpoint = new URL(S3_BACKUP.endpoint);
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const scope = `${amzDate.slice(0, 8)}/${S3_BACKUP.region}/s3/aws4_request`;
+    const uri = `/${S3_BACKUP.bucket}${key ? `/${key.split('/').map(encode).join('/')}` : ''}`;
+    const queryString = Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+    const payloadHash = hash(body);
+    const headers = { 'host': endpoint.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const signedHeaders = Object.keys(headers).join(';');
+
+    const canonicalRequest = [method, uri, queryString, ...Object.entries(headers).map(([name, value]) => `${name}:${value}`), '', signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${S3_BACKUP.secretAccessKey}`, amzDate.slice(0, 8)), S3_BACKUP.region));
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${S3_BACKUP.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')}`;
+    if (body) {
+        headers['content-length'] = Buffer.byteLength(body);
+    }
+
+    return httpsRequest(`${endpoint.origin}${uri}${queryString ? `?${queryString}` : ''}`, { method, headers, body: body || undefined })
+        .then(res => {
+            if (res.status < 200 || res.status >= 300) {
+                throw new Error(`S3 ${res.status}: ${res.body.toString('utf8').slice(0, 200)}`);
+            }
+            return res.body.toString('utf8');
+        });
+}
+
+// GitHub path for a server's data file - the home server keeps GITHUB_BACKUP_PATH
+function getGitHubBackupPath(store) {
+    if (store === homeStore) return GITHUB_BACKUP.path;
+    return path.posix.join(path.posix.dirname(GITHUB_BACKUP.path), path.relative(DATA_DIR, store.file).split(path.sep).join('/'));
+}
+
+// Every target: available(), save(snapshot), list(snapshot name) and fetch(name, id).
+// A snapshot is { name: 'sales', day: 'YYYY-MM-DD', content, empty, summary }.
+const backupTargets = {
+    local: {
+        label: '💽 Local',
+        available: () => true,
+        async save(snapshot) {
+            const file = path.join(BACKUP_DIR, `${snapshot.name}-${snapshot.day}.json`);
+            await writeFileAtomic(file, snapshot.content);
+            const files = (await fs.readdir(BACKUP_DIR)).filter(name => name.startsWith(`${snapshot.name}-`));
+            const expired = getExpiredBackups(files.filter(name => (name.match(DAILY_BACKUP_PATTERN) || [])[1] === snapshot.name));
+            await Promise.all(expired.map(name => fs.unlink(path.join(BACKUP_DIR, name))));
+            return path.relative(DATA_DIR, file);
+        },
+        async list(name) {
+            const files = await fs.readdir(BACKUP_DIR).catch(() => []);
+            const own = files.filter(file => file.startsWith(`${name}-`) && file.endsWith('.json'));
+            const entries = await Promise.all(own.map(async file => {
+                const stat = await fs.stat(path.join(BACKUP_DIR, file));
+                return { id: file, at: stat.mtime, size: stat.size };
+            }));
+            return entries.sort((a, b) => b.at - a.at);
+        },
+        async fetch(name, id) {
+            if (path.basename(id) !== id || !id.startsWith(`${name}-`)) {
+                throw new Error(`${id} is not a backup of this server`);
+            }
+            return fs.readFile(path.join(BACKUP_DIR, id), 'utf8');
+        }
+    },
+    github: {
+        label: '🐙 GitHub',
+        available: () => !!process.env.GITHUB_TOKEN,
+        async save(snapshot) {
+            const filePath = getGitHubBackupPath(currentStore());
+            // Intentar obtener el sha actual del archivo (si ya existe)
+            let sha;
+            try {
+                const existing = await githubApiRequest(`/repos/${GITHUB_BACKUP.repo}/contents/${filePath}?ref=${GITHUB_BACKUP.branch}`, 'GET');
+                sha = existing.sha;
+            } catch (e) {
+                console.log(`ℹ️ ${filePath} does not exist yet in ${GITHUB_BACKUP.repo}, it will be created`);
+            }
+
+            // An empty dataset never replaces real sales (e.g. right after a wiped disk)
+            if (sha && snapshot.empty) {
+                const remote = JSON.parse(await this.fetch(snapshot.name, GITHUB_BACKUP.branch));
+                if (!isEmptySalesData(remote)) {
+                    throw new Error(`refusing to overwrite ${filePath} (it has sales) with an empty dataset`);
+                }
+            }
+
+            // PUT crea o actualiza el archivo en GitHub
+            const body = {
+                message: `Auto-update sales data - ${snapshot.summary}`,
+                content: Buffer.from(snapshot.content, 'utf8').toString('base64'),
+                branch: GITHUB_BACKUP.branch,
+            };
+            if (sha) {
+                body.sha = sha;
+            }
+            await githubApiRequest(`/repos/${GITHUB_BACKUP.repo}/contents/${filePath}`, 'PUT', body);
+            return `${GITHUB_BACKUP.repo}@${GITHUB_BACKUP.branch}:${filePath}`;
+        },
+        async list() {
+            const filePath = getGitHubBackupPath(currentStore());
+            const commits = await githubApiRequest(`/repos/${GITHUB_BACKUP.repo}/commits?path=${encodeURIComponent(filePath)}&sha=${GITHUB_BACKUP.branch}&per_page=15`, 'GET');
+            return commits.map(commit => ({ id: commit.sha.slice(0, 12), at: new Date(commit.commit.author.date) }));
+        },
+        async fetch(name, id) {
+            const filePath = getGitHubBackupPath(currentStore());
+            const file = await githubApiRequest(`/repos/${GITHUB_BACKUP.repo}/contents/${filePath}?ref=${id}`, 'GET');
+            // Files over 1 MB come without content - read them as a blob
+            const content = file.content || (await githubApiRequest(`/repos/${GITHUB_BACKUP.repo}/git/blobs/${file.sha}`, 'GET')).content;
+            return Buffer.from(content, 'base64').toString('utf8');
+        }
+    },
+    s3: {
+        label: '🪣 S3',
+        available: () => !!(S3_BACKUP.endpoint && S3_BACKUP.bucket && S3_BACKUP.accessKeyId && S3_BACKUP.secretAccessKey),
+        async save(snapshot) {
+            const key = `${S3_BACKUP.prefix}${snapshot.name}-${snapshot.day}.json`;
+            await s3Request('PUT', key, { body: snapshot.content });
+            const expired = getExpiredBackups((await this.list(snapshot.name)).map(entry => entry.id));
+            for (const id of expired) {
+                await s3Request('DELETE', `${S3_BACKUP.prefix}${id}`);
+            }
+            return `s3://${S3_BACKUP.bucket}/${key}`;
+        },
+        async list(name) {
+            const xml = await s3Request('GET', '', { query: { 'list-type': '2', 'prefix': `${S3_BACKUP.prefix}${name}-` } });
+            const field = (block, tag) => (block.match(new RegExp(`<${tag}>([^<]*)</${tag}>`)) || [])[1];
+            return (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || [])
+                .map(block => ({
+                    id: field(block, 'Key').slice(S3_BACKUP.prefix.length),
+                    at: new Date(field(block, 'LastModified')),
+                    size: parseInt(field(block, 'Size'), 10)
+                }))
+                .filter(entry => DAILY_BACKUP_PATTERN.test(entry.id) && entry.id.match(DAILY_BACKUP_PATTERN)[1] === name)
+                .sort((a, b) => b.at - a.at);
+        },
+        async fetch(name, id) {
+            if (!id.startsWith(`${name}-`)) {
+                throw new Error(`${id} is not a backup of this server`);
+            }
+            return s3Request('GET', `${S3_BACKUP.prefix}${id}`);
+        }
+    },
+    discord: {
+        label: '💬 Discord',
+        available: () => !!getGuildConfig().backupChannelId,
+        async getChannel() {
+            const channel = await client.channels.fetch(getGuildConfig().backupChannelId).catch(() => null);
+            if (!channel) throw new Error('backup channel not found');
+            return channel;
+        },
+        async save(snapshot) {
+            const channel = await this.getChannel();
+            await channel.send({
+                content: `📦 Backup ${snapshot.day} - ${snapshot.summary}`,
+                files: [{ attachment: Buffer.from(snapshot.content, 'utf8'), name: `${snapshot.name}-${snapshot.day}.json` }]
+            });
+            return `#${channel.name}`;
+        },
+        async list(name) {
+            const channel = await this.getChannel();
+            const messages = await channel.messages.fetch({ limit: 50 });
+            return [...messages.values()]
+                .filter(msg => msg.author.id === client.user.id)
+                .map(msg => ({ msg, attachment: [...msg.attachments.values()].find(file => file.name.startsWith(`${name}-`)) }))
+                .filter(({ attachment }) => attachment)
+                .map(({ msg, attachment }) => ({ id: msg.id, at: msg.createdAt, size: attachment.size }));
+        },
+        async fetch(name, id) {
+            const msg = await (await this.getChannel()).messages.fetch(id);
+            const attachment = [...msg.attachments.values()].find(file => file.name.startsWith(`${name}-`));
+            if (!attachment) throw new Error(`message ${id} has no backup of this server`);
+            const res = await httpsRequest(attachment.url);
+            if (res.status !== 200) throw new Error(`attachment download failed (${res.status})`);
+            return res.body.toString('utf8');
+        }
+    }
+};
+
+// Targets named in BACKUP_TARGETS (unknown names are reported once at startup)
+function getConfiguredBackupTargets() {
+    const names = process.env.BACKUP_TARGETS
+        ? process.env.BACKUP_TARGETS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : ['local', 'github', 'discord'];
+    return names.filter(name => backupTargets[name]);
+}
+
+// The current server's dataset as a backup snapshot
+function createBackupSnapshot() {
+    const { file, data } = currentStore();
+    const totalDaily = Object.keys(data.daily || {}).length;
+    const totalWeekly = Object.keys(data.weekly || {}).length;
+    const totalMonthly = Object.keys(data.monthly || {}).length;
+    const localTime = new Date().toLocaleString('en-US', {
+        timeZone: getTimezone(),
+        month: 'short',
+        day: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true,
+    });
+    return {
+        name: path.basename(file, '.json'),
+        day: getLocalTimestamp().slice(0, 10), // YYYY-MM-DD (guild's local day)
+        // The whole dataset, ledger included (with SQLite storage it isn't in the file)
+        content: JSON.stringify(data, null, 2),
+        empty: isEmptySalesData(data),
+        summary: `${localTime} - ${totalDaily}d ${totalWeekly}w ${totalMonthly}m agents`
+    };
+}
+
+// Copy the current server's data to the given targets - one result per target
+async function runBackup(targetNames = getConfiguredBackupTargets()) {
+    const snapshot = createBackupSnapshot();
+    const results = [];
+    for (const name of targetNames) {
+        const target = backupTargets[name];
+        if (!target.available()) {
+            results.push({ target: name, ok: false, skipped: true, error: 'not configured' });
+            continue;
+        }
+        try {
+            const where = await target.save(snapshot);
+            console.log(`📦 Backup (${name}) saved: ${where}`);
+            results.push({ target: name, ok: true, where });
+        } catch (error) {
+            console.error(`❌ Backup (${name}) failed:`, error?.message || error);
+            results.push({ target: name, ok: false, error: error?.message || String(error) });
+        }
+    }
+    return results;
+}
+
+// ========== Daily backup (end of day, server timezone) ==========
+async function backupDailySales() {
+    return runBackup();
+}
+
+// Función para sincronizar con GitHub
+async function syncToGitHub() {
+    if (!process.env.GITHUB_TOKEN) {
+        console.log('⚠️ No GitHub token configured, skipping GitHub sync');
+        return false;
+    }
+    console.log('🔄 Starting GitHub sync (GitHub API)...');
+    const [result] = await runBackup(['github']);
+    return result.ok;
+}
+
+// No sales and no agents anywhere - what a fresh (or wiped) data file looks like
+function isEmptySalesData(data) {
+    const archived = Object.values(data.archive || {}).some(period => Object.keys(period).length > 0);
+    return (data.sales || []).length === 0 && !archived &&
+        ['daily', 'weekly', 'monthly', 'allTime'].every(period => Object.keys(data[period] || {}).length === 0);
+}
+
+// Latest valid, non-empty backup of the current server: GitHub first, then the newest local day file
+async function findStartupBackup() {
+    const name = path.basename(currentStore().file, '.json');
+    const sources = [];
+    if (backupTargets.github.available()) {
+        sources.push(['github', GITHUB_BACKUP.branch]);
+    }
+    const [newestLocal] = (await backupTargets.local.list(name)).filter(entry => DAILY_BACKUP_PATTERN.test(entry.id));
+    if (newestLocal) {
+        sources.push(['local', newestLocal.id]);
+    }
+
+    for (const [targetName, id] of sources) {
+        try {
+            const data = JSON.parse(await backupTargets[targetName].fetch(name, id));
+            const problems = validateSalesData(data);
+            if (problems.length > 0) {
+                console.error(`⚠️ ${targetName} backup ${id} isn't valid sales data: ${problems[0]}`);
+            } else if (isEmptySalesData(data)) {
+                console.log(`ℹ️ ${targetName} backup ${id} is empty too`);
+            } else {
+                console.log(`♻️ Restoring from ${targetName} backup ${id}`);
+                return data;
+            }
+        } catch (error) {
+            console.log(`ℹ️ No ${targetName} backup to restore: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+// Put a backup in place of the current data - the current data is kept in BACKUP_DIR first
+async function restoreBackup(targetName, id, actor) {
+    const target = backupTargets[targetName];
+    const name = path.basename(currentStore().file, '.json');
+    const data = JSON.parse(await target.fetch(name, id));
+    const problems = validateSalesData(data);
+    if (problems.length > 0) {
+        throw new Error(`the backup isn't valid sales data: ${problems[0]}`);
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const safetyCopy = path.join(BACKUP_DIR, `${name}-pre-restore-${stamp}.json`);
+    await writeFileAtomic(safetyCopy, JSON.stringify(currentStore().data, null, 2));
+    console.log(`📦 Pre-restore copy saved to: ${safetyCopy}`);
+
+    await useLoadedData(data);
+    // An older snapshot may still hold periods that have ended since
+    checkResets();
+    logAudit(actor, 'restore', { target: targetName, backup: id, safetyCopy: path.relative(DATA_DIR, safetyCopy) });
+    await saveData();
+    return { sales: salesData.sales.length, safetyCopy };
+}
+
+// Get week number
+function getWeekNumber(date) {
+    const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
+    const pastDaysOfYear = (date - firstDayOfYear) / 86400000;
+    return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
+}
+
+// Check period resets - CORREGIDO PARA FILTRAR POR MES CORRECTAMENTE
+function checkResets() {
+    const now = new Date();
+    const localNow = new Date(now.toLocaleString("en-US", {timeZone: getTimezone()}));
+    
+    const currentDay = localNow.toDateString();
+    const currentWeek = getWeekNumber(localNow);
+    const currentMonth = localNow.getMonth();
+    const currentYear = localNow.getFullYear();
+
+    let wasReset = false;
+
+    // Daily reset
+    if (salesData.lastReset.daily !== currentDay) {
+        archivePeriod('daily', getDayKeyFromDateString(salesData.lastReset.daily), salesData.daily);
+        salesData.dailySnapshot = JSON.parse(JSON.stringify(salesData.daily));
+        salesData.daily = {};
+        salesData.lastReset.daily = currentDay;
+        wasReset = true;
+        console.log(`🔄 Daily reset executed for ${currentDay}`);
+    }
+
+    // Weekly reset (weeks start on Monday) - by week key, so a week the bot
+    // was down on Monday still closes on the next start
+    const currentWeekKey = getWeekTag(getLocalTimestamp(now).slice(0, 10));
+    if (salesData.lastReset.weekKey !== currentWeekKey) {
+        archivePeriod('weekly', salesData.lastReset.weekKey, salesData.weekly);
+        salesData.weeklySnapshot = JSON.parse(JSON.stringify(salesData.weekly));
+        salesData.weekly = {};
+        salesData.lastReset.weekly = currentWeek;
+        salesData.lastReset.weeklyTag = `${currentYear}-W${currentWeek}`;
+        salesData.lastReset.weekKey = currentWeekKey;
+        wasReset = true;
+        console.log(`🔄 Weekly reset executed for ${currentWeekKey}`);
+    }
+
+    // Monthly reset - CORRECCIÓN AQUÍ
+    // El tag debe incluir tanto año como mes para detectar cambios correctamente
+    const lastMonthReset = `${currentYear}-${String(currentMonth).padStart(2, '0')}`;
+    
+    // Si no existe el tag O si el tag es diferente al mes actual
+    if (!salesData.lastReset.monthlyTag || salesData.lastReset.monthlyTag !== lastMonthReset) {
+        console.log(`🔄 Monthly reset detected: stored tag "${salesData.lastReset.monthlyTag}" vs current "${lastMonthReset}"`);
+        archivePeriod('monthly', getMonthKeyFromTag(salesData.lastReset.monthlyTag), salesData.monthly);
+        salesData.monthlySnapshot = JSON.parse(JSON.stringify(salesData.monthly));
+        salesData.monthly = {};
+        salesData.lastReset.monthly = currentMonth;
+        salesData.lastReset.monthlyTag = lastMonthReset;
+        wasReset = true;
+        console.log(`🔄 Monthly reset executed for month ${currentMonth + 1} (${lastMonthReset})`);
+    }
+
+    if (wasReset) {
+        saveData();
+    }
+}
+
+// ========================================
+// PERIOD ARCHIVE
+// ========================================
+// Every closed day/week/month is kept in salesData.archive under its period
+// key ("2025-11-14", "2025-W46", "2025-11") so past leaderboards can be shown.
+
+// "Sat Nov 15 2025" (lastReset.daily) -> "2025-11-15"
+function getDayKeyFromDateString(dateString) {
+    const date = new Date(dateString);
+    if (!dateString || isNaN(date)) return null;
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// lastReset.monthlyTag uses 0-based months ("2025-10" = November) - convert to "2025-11"
+function getMonthKeyFromTag(monthlyTag) {
+    const match = /^(\d{4})-(\d{2})$/.exec(monthlyTag || '');
+    if (!match) return null;
+    return `${match[1]}-${String(Number(match[2]) + 1).padStart(2, '0')}`;
+}
+
+// "2025-11-01" + (-1) -> "2025-10-31"
+function shiftDayKey(dayKey, days) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.toISOString().slice(0, 10);
+}
+
+// "2025-11" + (-1) -> "2025-10"
+function shiftMonthKey(monthKey, months) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + months, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+// Week the sales in a bucket belong to (latest sale), falling back to the given day
+function getBucketWeekTag(bucket, fallbackDayKey) {
+    let latest = null;
+    Object.values(bucket).forEach(entry => {
+        (entry.policyDetails || []).forEach(detail => {
+            if (detail.date && (!latest || detail.date > latest)) latest = detail.date;
+        });
+    });
+    const dayKey = latest ? getLocalTimestamp(new Date(latest)).slice(0, 10) : fallbackDayKey;
+    return getWeekTag(dayKey);
+}
+
+function archivePeriod(period, key, bucket) {
+    if (!key || Object.keys(bucket || {}).length === 0) return;
+    salesData.archive[period][key] = JSON.parse(JSON.stringify(bucket));
+    console.log(`📜 Archived ${period} ${key}: ${Object.keys(bucket).length} agents`);
+}
+
+// Bucket for any period key - live data for the current period, the archive
+// for closed ones, and the ledger when a period was never archived
+function getPeriodData(period, key) {
+    const keyType = PERIOD_KEY_TYPES[period];
+    const current = getPeriodKeys(getLocalTimestamp())[keyType];
+    if (key === current) {
+        return salesData[period];
+    }
+    if (salesData.archive[period][key]) {
+        return salesData.archive[period][key];
+    }
+    return aggregateSales(getLedgerSales(keyType, key));
+}
+
+// Human title for a period key
+function describePeriodKey(period, key) {
+    if (period === 'daily') {
+        return new Date(`${key}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+    if (period === 'monthly') {
+        return new Date(`${key}-01T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long', year: 'numeric' });
+    }
+    return key;
+}
+
+// Parse "yesterday", "lastweek", "2025-11-14", "2025-W44", "2025-10" (optionally
+// after a period word, e.g. "week 2025-W44") into { period, key }
+function parseArchiveKey(words) {
+    const today = getLocalTimestamp().slice(0, 10);
+    const [first, second] = words;
+    const value = PERIOD_ALIASES[first] && second ? second : first;
+
+    if (value === 'yesterday') {
+        return { period: 'daily', key: shiftDayKey(today, -1) };
+    }
+    if (value === 'lastweek') {
+        return { period: 'weekly', key: getWeekTag(shiftDayKey(today, -7)) };
+    }
+    if (value === 'lastmonth') {
+        return { period: 'monthly', key: shiftMonthKey(today.slice(0, 7), -1) };
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return { period: 'daily', key: value };
+    }
+    const week = /^(\d{4})-w(\d{1,2})$/i.exec(value || '');
+    if (week) {
+        return { period: 'weekly', key: `${week[1]}-W${week[2].padStart(2, '0')}` };
+    }
+    if (/^\d{4}-\d{2}$/.test(value)) {
+        return { period: 'monthly', key: value };
+    }
+    return null;
+}
+
+// !archive [daily|weekly|monthly] - list archived periods
+async function handleArchiveCommand(message, args) {
+    const period = PERIOD_ALIASES[(args[0] || 'monthly').toLowerCase()] || 'monthly';
+    const keys = Object.keys(salesData.archive[period]).sort().reverse().slice(0, 20);
+
+    if (keys.length === 0) {
+        return message.reply(`📝 No archived ${period} periods yet`);
+    }
+
+    const lines = keys.map(key => {
+        const data = salesData.archive[period][key];
+        const total = Object.values(data).reduce((sum, user) => sum + user.total, 0);
+        return `\`${key}\` ${describePeriodKey(period, key)} - $${total.toLocaleString('en-US', {minimumFractionDigits: 2})} (${Object.keys(data).length} agents)`;
+    });
+    await message.reply(`📜 **Archived ${period} periods:**\n${lines.join('\n')}\n\nView one with \`!leaderboard <key>\``);
+}
+
+// ========================================
+// CARRIER / PRODUCT CATALOG
+// ========================================
+// Each parsed sale resolves to a canonical carrier + product. Aliases are
+// matched as whole words against the policy text, longest alias first, so
+// "MOO IULE", "Moo Iule" and "mutual of omaha iul express" all group together.
+// The defaults can be replaced by data/catalog.json (managed with !catalog).
+const DEFAULT_CATALOG = {
+    carriers: [
+        { name: 'Mutual of Omaha', short: 'MOO', aliases: ['mutual of omaha', 'mutual omaha', 'omaha'] },
+        { name: 'American Amicable', short: 'AmAm', aliases: ['american amicable', 'amicable', 'anam', 'am am'] },
+        { name: 'TransAmerica', short: 'TransAm', aliases: ['transamerica', 'trans america', 'trans', 'tranam'] },
+        { name: 'Foresters', short: 'Foresters', aliases: ['forester', 'foresters financial'] },
+        { name: 'Americo', short: 'Americo', aliases: [] },
+        { name: 'Ethos', short: 'Ethos', aliases: [] },
+        { name: 'Ladder', short: 'Ladder', aliases: ['ladder life'] },
+        { name: 'National Life Group', short: 'NLG', aliases: ['national life', 'lsw'] },
+        { name: 'Corebridge', short: 'Corebridge', aliases: ['cb', 'aig', 'core bridge'] },
+        { name: 'Royal Neighbors', short: 'RNA', aliases: ['royal neighbors of america', 'royal neighbor'] },
+        { name: 'Liberty Bankers', short: 'LBL', aliases: ['liberty bankers life'] },
+        { name: 'Guarantee Trust Life', short: 'GTL', aliases: ['guarantee trust'] },
+        { name: 'F&G', short: 'F&G', aliases: ['f g', 'fidelity guaranty', 'fidelity and guaranty'] },
+        { name: 'Kansas City Life', short: 'KCL', aliases: ['kansas city'] },
+        { name: 'Aetna', short: 'Aetna', aliases: [] },
+        { name: 'Gerber', short: 'Gerber', aliases: [] },
+        { name: 'Aflac', short: 'Aflac', aliases: [] }
+    ],
+    products: [
+        { name: 'IUL', aliases: ['indexed universal life', 'index universal life'] },
+        { name: 'IULE', aliases: ['iul express'] },
+        { name: 'Term', aliases: ['term life', 'tle', 'yt', 'your term', 'safecare term', 'home protector', 'hp', 'term made simple', 'tms', 'equity protection', 'ep'] },
+        { name: 'FEX', aliases: ['final expense', 'fe', 'living promise', 'lp', 'siwl', 'family choice', 'senior choice', 'sc', 'easy solution', 'es'] },
+        { name: 'GA', aliases: ['guaranteed acceptance', 'guaranteed issue', 'gi', 'giwl', 'guaranteed'] },
+        { name: 'WL', aliases: ['whole life', 'wl'] },
+        { name: 'UL', aliases: ['universal life', 'smart ul'] },
+        { name: 'ADB', aliases: ['accidental death', 'accidental'] }
+    ]
+};
+
+const CATALOG_FILE = path.join(DATA_DIR, 'catalog.json');
+let catalog = DEFAULT_CATALOG;
+
+// Lowercase words only: "AmAm-IUL!" -> "amam iul"
+function normalizeAliasText(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Best (longest) catalog entry whose name/short name/alias appears in the text
+function matchCatalogEntry(entries, text) {
+    const haystack = ` ${normalizeAliasText(text)} `;
+    let best = null;
+    let bestLength = 0;
+
+    entries.forEach(entry => {
+        [entry.name, entry.short, ...(entry.aliases || [])].forEach(alias => {
+            const needle = normalizeAliasText(alias);
+            if (needle && haystack.includes(` ${needle} `) && needle.length > bestLength) {
+                best = entry;
+                bestLength = needle.length;
+            }
+        });
+    });
+
+    return best;
+}
+
+// Resolve policy text to { carrier, product, label } - label is what leaderboards show
+function resolvePolicy(text) {
+    const carrier = matchCatalogEntry(catalog.carriers, text);
+    const product = matchCatalogEntry(catalog.products, text);
+    const label = [carrier && (carrier.short || carrier.name), product && product.name]
+        .filter(Boolean)
+        .join(' ');
+
+    return {
+        carrier: carrier ? carrier.name : 'Other',
+        product: product ? product.name : 'Other',
+        label,
+        matched: !!(carrier || product)
+    };
+}
+
+async function loadCatalog() {
+    try {
+        const raw = await fs.readFile(CATALOG_FILE, 'utf8');
+        const loaded = JSON.parse(raw);
+        if (!Array.isArray(loaded.carriers) || !Array.isArray(loaded.products)) {
+            throw new Error('catalog.json needs "carriers" and "products" arrays');
+        }
+        catalog = loaded;
+        console.log(`📚 Catalog loaded: ${catalog.carriers.length} carriers, ${catalog.products.length} products`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Error loading catalog.json, using defaults:', error.message);
+        }
+        catalog = JSON.parse(JSON.stringify(DEFAULT_CATALOG));
+    }
+}
+
+async function saveCatalog() {
+    try {
+        await queueFileWrite(CATALOG_FILE, () => JSON.stringify(catalog, null, 2));
+        console.log(`💾 Catalog saved to: ${CATALOG_FILE}`);
+    } catch (error) {
+        console.error('❌ Error saving catalog:', error);
+    }
+}
+
+// Parse MULTIPLE sales from a single message
+function parseMultipleSales(message, verbose = true) {
+    const fullMessage = message.replace(/\n/g, ' ');
+    const pattern = /(?:\$\s*([\d,]+(?:\.\d{2})?))|([\d,]+(?:\.\d{2})?)\s*\$/g;
+    const matches = [...fullMessage.matchAll(pattern)];
+    
+    if (!matches || matches.length === 0) {
+        return [];
+    }
+    
+    const sales = [];
+    
+    matches.forEach((match, index) => {
+        const amountStr = match[1] || match[2];
+        const amount = parseFloat(amountStr.replace(/,/g, ''));
         
         const startPos = match.index + match[0].length;
         const endPos = matches[index + 1] ? matches[index + 1].index : fullMessage.length;
         let policyText = fullMessage.substring(startPos, endPos).trim();
+        const split = parseSaleSplit(policyText);
+        policyText = policyText.replace(/\bsplit(?:ting)?\b/gi, ' ');
+        if (split.shares) {
+            policyText = policyText.replace(SPLIT_RATIO_PATTERN, ' ');
+        }
+        // "$85/mo Americo IUL" - AP is the yearly premium
+        const premium = parsePremiumMode(policyText);
+        policyText = premium.rest;
         
         // Clean up policy text
         policyText = policyText.replace(/^(His|Hers|Child|Spouse|Wife|Husband|Son|Daughter|Kid|Parent|Mother|Father):/gi, '').trim();
@@ -374,84 +2194,3029 @@ function parseMultipleSales(message) {
         if (hashtagIndex > -1) {
             policyText = policyText.substring(0, hashtagIndex).trim();
         }
-        
-        policyText = policyText.replace(/[^\w\s-]/g, ' ');
-        policyText = policyText.replace(/\s+/g, ' ').trim();
-        
-        const policyPatterns = [
-            'NLG', 'TLE', 'IUL', 'IULE', 'UL', 'WL', 'TERM',
-            'Americo', 'MOO', 'Ladder', 'Term Life',
-            'Universal Life', 'Whole Life', 'Final Expense',
-            'Index Universal Life', 'Variable Universal Life'
-        ];
-        
-        let foundPolicy = '';
-        for (const pattern of policyPatterns) {
-            const regex = new RegExp(`\\b${pattern}\\b`, 'i');
-            if (regex.test(policyText)) {
-                const extractRegex = new RegExp(`(\\w+\\s+)?\\b${pattern}\\b(\\s+\\w+)?`, 'i');
-                const policyMatch = policyText.match(extractRegex);
-                if (policyMatch) {
-                    foundPolicy = policyMatch[0].trim();
-                    break;
+        
+        policyText = policyText.replace(/[^\w\s-]/g, ' ');
+        policyText = policyText.replace(/\s+/g, ' ').trim();
+        
+        // Canonical carrier + product from the catalog, free text otherwise
+        const resolved = resolvePolicy(policyText);
+        let policyType = resolved.label;
+        
+        if (!resolved.matched) {
+            const words = policyText.split(' ').filter(word => word.length > 0);
+            policyType = words.slice(0, 3).join(' ');
+            
+            if (!policyType || policyType.length < 2) {
+                policyType = 'General Policy';
+            }
+            
+            policyType = policyType.split(' ')
+                .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+                .join(' ');
+        }
+        
+        // Text the amount was written in (with the words before it for the first sale)
+        const score = scoreSaleText(fullMessage.substring(index === 0 ? 0 : match.index, endPos), resolved, premium);
+
+        sales.push({
+            amount: Math.round(amount * premium.factor * 100) / 100,
+            policyType: policyType,
+            carrier: resolved.carrier,
+            product: resolved.product,
+            premium: premium.factor !== 1 ? { amount, mode: premium.mode } : null,
+            confidence: score.confidence,
+            reasons: score.reasons,
+            coWriters: split.coWriters,
+            shares: split.shares
+        });
+    });
+
+    // "$900 GTL fex - client pays $75 mo": a modal amount after an annual one
+    // describes that sale (folded into it when it adds up) rather than a new one
+    for (let i = sales.length - 1; i > 0; i--) {
+        const sale = sales[i];
+        const previous = sales[i - 1];
+        if (!sale.premium || previous.premium) continue;
+        if (Math.abs(sale.amount - previous.amount) <= 1) {
+            previous.premium = sale.premium;
+            sales.splice(i, 1);
+        } else {
+            sale.confidence = Math.max(0, Math.round((sale.confidence - 0.5) * 100) / 100);
+            sale.reasons.push(`$${sale.premium.amount} ${sale.premium.mode} may be the premium of the sale before it`);
+        }
+    }
+    
+    if (verbose) {
+        console.log(`💬 Parsed ${sales.length} sale(s) from message:`);
+        sales.forEach((sale, i) => {
+            const premium = sale.premium ? ` (from $${sale.premium.amount} ${sale.premium.mode})` : '';
+            console.log(`   Sale ${i + 1}: $${sale.amount}${premium} - "${sale.policyType}" - confidence ${sale.confidence}`);
+        });
+    }
+    
+    return sales;
+}
+
+// ========================================
+// SPLIT SALES
+// ========================================
+// A case written together is posted once by one of the agents:
+//   $2,400 IUL w/ @Maria             - even split
+//   $2,400 IUL split 70/30 @Maria    - poster first, then the mentions in order
+// Each agent gets their own ledger record with their share of the AP, and
+// counts as that share of a policy (0.7 + 0.3), so every period adds up.
+const SPLIT_RATIO_PATTERN = /\b(\d{1,3}(?:\s*\/\s*\d{1,3})+)\b/;
+const SPLIT_MARKER_PATTERN = /(?:\bw\/|\bwith\b|\bsplit(?:ting)?\b)/i;
+
+// Co-writer ids and percentages written after one sale: { coWriters, shares }
+function parseSaleSplit(text) {
+    const ratio = SPLIT_RATIO_PATTERN.exec(text);
+    const shares = ratio ? ratio[1].split('/').map(value => parseInt(value, 10)) : null;
+    const validShares = shares && shares.reduce((sum, value) => sum + value, 0) === 100 && shares.every(value => value > 0);
+
+    // With a ratio every mention is a co-writer, otherwise only the ones after w/ / with / split
+    const marker = SPLIT_MARKER_PATTERN.exec(text);
+    const scope = validShares ? text : (marker ? text.slice(marker.index) : '');
+    const coWriters = [...new Set([...scope.matchAll(/<@!?(\d+)>/g)].map(match => match[1]))];
+
+    return { coWriters, shares: validShares ? shares : null };
+}
+
+// Fraction of a policy a sale record stands for
+function getSaleShare(sale) {
+    return sale.split ? sale.split.share : 1;
+}
+
+function isSaleAgent(sale, userId) {
+    return sale.userId === userId || (!!sale.split && sale.split.agents.some(agent => agent.userId === userId));
+}
+
+// Credits for every sale in a post: [{ userId, username, amount, policyType, split }]
+function getSaleCredits(message, verbose = true, content = message.content) {
+    const credits = [];
+    parseMultipleSales(content, verbose).filter(sale => sale.amount > 0).forEach(sale => {
+        const coWriters = sale.coWriters.filter(id => id !== message.author.id);
+        if (coWriters.length === 0) {
+            credits.push({ userId: message.author.id, username: message.author.username, amount: sale.amount, policyType: sale.policyType, premium: sale.premium, split: null });
+            return;
+        }
+
+        const agents = [message.author.id, ...coWriters].map(userId => {
+            const user = userId === message.author.id ? message.author : message.mentions.users.get(userId);
+            const known = salesData.allTime[userId];
+            return { userId, username: user ? user.username : (known ? known.username : userId) };
+        });
+        // Even split unless a ratio with one share per agent was given - the poster takes the rounding
+        const shares = sale.shares && sale.shares.length === agents.length
+            ? sale.shares
+            : agents.map((agent, i) => Math.floor(100 / agents.length) + (i === 0 ? 100 % agents.length : 0));
+        agents.forEach((agent, i) => {
+            agent.share = shares[i] / 100;
+        });
+
+        const amounts = agents.map(agent => Math.round(sale.amount * agent.share * 100) / 100);
+        amounts[0] = Math.round((sale.amount - amounts.slice(1).reduce((sum, amount) => sum + amount, 0)) * 100) / 100;
+        agents.forEach((agent, i) => credits.push({
+            userId: agent.userId,
+            username: agent.username,
+            amount: amounts[i],
+            policyType: sale.policyType,
+            premium: sale.premium,
+            split: { share: agent.share, total: sale.amount, agents }
+        }));
+    });
+    return credits;
+}
+
+// Every agent's record of the case a split sale belongs to (just the sale otherwise)
+function getSplitPartners(sale) {
+    if (!sale.split || !sale.messageId || sale.voided) return [sale];
+    return getSalesByMessage(sale.messageId).filter(other => other.split &&
+        other.policyType === sale.policyType && other.split.total === sale.split.total);
+}
+
+// "🤝 70% of $2,400.00 w/ Maria"
+function formatSplit(sale) {
+    if (!sale.split) return '';
+    const partners = sale.split.agents.filter(agent => agent.userId !== sale.userId).map(agent => agent.username);
+    return `🤝 ${Math.round(sale.split.share * 100)}% of $${sale.split.total.toLocaleString('en-US', {minimumFractionDigits: 2})} w/ ${partners.join(', ')}`;
+}
+
+// ========================================
+// SALE CONFIRMATION
+// ========================================
+// Monthly/quarterly premiums are turned into AP when the sale is parsed, and
+// every sale gets a confidence score. A post that scores low, or whose AP is
+// outside the server's bounds (!config bounds), isn't counted right away: the
+// bot replies with ✅ / ✏️ / ❌ buttons and the poster (or an admin) decides.
+// Reviews are kept in salesData.saleReviews so catch-up and rebuilds don't
+// count a post that is waiting for an answer or was turned down.
+const CONFIRM_BELOW_CONFIDENCE = 0.6;
+// Small final expense policies are normal - the minimum only catches stray amounts ($5 off...)
+const DEFAULT_SALE_BOUNDS = { min: 20, max: 25000 };
+// Same agent, amount and product posted again within this many hours = likely repost
+const DEFAULT_DUPLICATE_WINDOW_HOURS = 24;
+
+// An explicit AP right after the amount ("$1,200 AP", "$1,200/yr"), or an annual
+// word anywhere in the sale, wins over any mode - "ap" further along may mean anything
+const ANNUAL_PATTERN = /^\s*(?:\/\s*(?:yr|year)|ap)\b|\b(?:annually|per\s+year)\b|(?<!semi[- ]?)\bannual\b/i;
+
+// next: written right after the amount ("$85/mo") - converted as it is
+// word: further along in the text ("$85 IUL monthly draft") - converted, but confirmed first
+const PREMIUM_MODES = [
+    { mode: 'semi-annual', factor: 2, next: /^\s*(?:\/\s*6\s*mo|semi[- ]?annual(?:ly)?)\b/i, word: /\bsemi[- ]?annual(?:ly)?\b/i },
+    { mode: 'quarterly', factor: 4, next: /^\s*(?:\/\s*(?:q|qtr|quarter)|quarterly|(?:a|per|each)\s+quarter)\b/i, word: /\b(?:quarterly|per\s+quarter)\b/i },
+    { mode: 'monthly', factor: 12, next: /^\s*(?:\/\s*(?:m|mo|mos|mth|month)|mo|mos|mth|monthly|mp|(?:a|per|each)\s+month)\b/i, word: /\b(?:monthly|(?:a|per|each)\s+month)\b/i }
+];
+
+// Words that usually mean the dollar amount isn't a policy
+const NON_SALE_WORDS = /\b(off|discount|coupon|bill|bills|lunch|dinner|gas|rent|fee|fees|tip|tips|owe|owes|refund|cashback|bonus|commission|saved|spent)\b/i;
+
+// Premium mode of the text after an amount: { mode, factor, inferred, rest } (rest = text without it)
+function parsePremiumMode(text) {
+    if (ANNUAL_PATTERN.test(text)) {
+        return { mode: null, factor: 1, inferred: false, rest: text.replace(ANNUAL_PATTERN, ' ').trim() };
+    }
+    const next = PREMIUM_MODES.find(entry => entry.next.test(text));
+    if (next) {
+        return { mode: next.mode, factor: next.factor, inferred: false, rest: text.replace(next.next, ' ').trim() };
+    }
+    const word = PREMIUM_MODES.find(entry => entry.word.test(text));
+    if (word) {
+        return { mode: word.mode, factor: word.factor, inferred: true, rest: text.replace(word.word, ' ').trim() };
+    }
+    return { mode: null, factor: 1, inferred: false, rest: text };
+}
+
+// 0..1 and the reasons it isn't 1 - raw is the post text around the amount
+function scoreSaleText(raw, resolved, premium = {}) {
+    const reasons = [];
+    let confidence = 1;
+    if (premium.inferred) {
+        confidence -= 0.5;
+        reasons.push(`"${premium.mode}" isn't next to the amount - is it the ${premium.mode} premium?`);
+    }
+    const nonSale = NON_SALE_WORDS.exec(raw);
+    if (nonSale) {
+        confidence -= 0.5;
+        reasons.push(`"${nonSale[1].toLowerCase()}" doesn't sound like a policy`);
+    }
+    if (raw.includes('?')) {
+        confidence -= 0.3;
+        reasons.push('it reads like a question');
+    }
+    if (!resolved.matched) {
+        confidence -= 0.3;
+        reasons.push('no carrier or product recognized');
+    }
+    return { confidence: Math.max(0, Math.round(confidence * 100) / 100), reasons };
+}
+
+function getSaleBounds(config = getGuildConfig()) {
+    return config.saleBounds === undefined ? DEFAULT_SALE_BOUNDS : config.saleBounds;
+}
+
+function getDuplicateWindowHours(config = getGuildConfig()) {
+    return config.duplicateWindowHours === undefined ? DEFAULT_DUPLICATE_WINDOW_HOURS : config.duplicateWindowHours;
+}
+
+// Recorded sales from other posts that a new one repeats: same agent, AP and product
+function findDuplicateSales(message, parsed) {
+    const windowHours = getDuplicateWindowHours();
+    if (!windowHours) return [];
+    const postedAt = (message.createdAt || new Date()).getTime();
+    return getLedgerSales().filter(sale => sale.messageId !== message.id &&
+        isSaleAgent(sale, message.author.id) &&
+        Math.abs(postedAt - new Date(sale.timestamp).getTime()) <= windowHours * 3600000 &&
+        parsed.some(candidate => candidate.amount === (sale.split ? sale.split.total : sale.amount) &&
+            (candidate.product !== 'Other' ? candidate.product === sale.product : candidate.policyType === sale.policyType)));
+}
+
+// Why a post should be confirmed before it counts ([] when it can be recorded right away)
+function reviewParsedSales(sales, message) {
+    const bounds = getSaleBounds();
+    const money = value => `$${value.toLocaleString('en-US', {minimumFractionDigits: 2})}`;
+    const issues = [];
+    sales.forEach(sale => {
+        if (sale.confidence < CONFIRM_BELOW_CONFIDENCE) {
+            issues.push(...sale.reasons);
+        }
+        if (bounds && sale.amount < bounds.min) {
+            issues.push(`${money(sale.amount)} AP is below the usual minimum of ${money(bounds.min)}`);
+        }
+        if (bounds && sale.amount > bounds.max) {
+            issues.push(`${money(sale.amount)} AP is above the usual maximum of ${money(bounds.max)}`);
+        }
+    });
+    findDuplicateSales(message, sales).forEach(sale => {
+        const hours = Math.round(Math.abs((message.createdAt || new Date()) - new Date(sale.timestamp)) / 3600000);
+        issues.push(`looks like a repost of #${sale.id} (${money(sale.split ? sale.split.total : sale.amount)} ${sale.policyType}, ${hours > 0 ? `${hours}h` : 'minutes'} ago)`);
+    });
+    return [...new Set(issues)];
+}
+
+// "$1,020.00 AP Americo IUL (from $85.00 monthly)"
+function describeParsedSale(sale) {
+    const money = value => `$${value.toLocaleString('en-US', {minimumFractionDigits: 2})}`;
+    const premium = sale.premium ? ` (from ${money(sale.premium.amount)} ${sale.premium.mode})` : '';
+    return `${money(sale.amount)} AP ${sale.policyType}${premium}`;
+}
+
+// Record a sales-channel post, or ask for a confirmation first - returns the recorded sales
+async function processSalePost(message, source = 'message') {
+    const parsed = parseMultipleSales(message.content, false).filter(sale => sale.amount > 0);
+    const issues = reviewParsedSales(parsed, message);
+    if (issues.length > 0) {
+        await requestSaleConfirmation(message, parsed, issues);
+        return [];
+    }
+    const sales = recordMessageSales(message, source);
+    await reactToSales(message, sales);
+    return sales;
+}
+
+async function requestSaleConfirmation(message, parsed, issues) {
+    const question = parsed.length === 1
+        ? `Record ${describeParsedSale(parsed[0])}?`
+        : `Record these ${parsed.length} sales?\n${parsed.map(sale => `• ${describeParsedSale(sale)}`).join('\n')}`;
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`sale-confirm:${message.id}`).setLabel('Record').setEmoji('✅').setStyle(ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`sale-edit:${message.id}`).setLabel('Edit').setEmoji('✏️').setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`sale-dismiss:${message.id}`).setLabel('Don\'t count').setEmoji('❌').setStyle(ButtonStyle.Danger)
+    );
+
+    const prompt = await message.reply({
+        content: `🤔 <@${message.author.id}> ${question}\n${issues.map(issue => `⚠️ ${issue}`).join('\n')}`.slice(0, 2000),
+        components: [buttons],
+        allowedMentions: { users: [message.author.id] }
+    });
+    const duplicates = findDuplicateSales(message, parsed);
+    salesData.saleReviews[message.id] = {
+        state: 'pending',
+        channelId: message.channel.id,
+        promptId: prompt.id,
+        userId: message.author.id,
+        at: new Date().toISOString(),
+        issues,
+        duplicateOf: duplicates.map(sale => sale.id)
+    };
+    await saveData();
+    console.log(`🤔 Sale post by ${message.author.username} waiting for confirmation: ${issues.join('; ')}`);
+
+    // Reposts are easy to wave through - admins get a heads-up too
+    const adminChannel = duplicates.length > 0 && getConfiguredChannel('adminChannelId');
+    if (adminChannel) {
+        await adminChannel.send({
+            content: `🔁 **Possible duplicate held** - **${message.author.username}** posted ${parsed.map(describeParsedSale).join(', ')} in <#${message.channel.id}> (${message.url})\nLooks like:\n${duplicates.map(formatSale).join('\n')}\nIt won't count until ✅ is pressed on the prompt.`.slice(0, 2000),
+            allowedMentions: { parse: [] }
+        }).catch(error => console.error('❌ Error flagging duplicate:', error.message));
+    }
+}
+
+// A post that was edited or deleted while its prompt was open - the prompt goes away
+async function dropSaleReview(messageId) {
+    const review = salesData.saleReviews[messageId];
+    if (!review) return false;
+    delete salesData.saleReviews[messageId];
+    const channel = client.channels.cache.get(review.channelId);
+    if (review.state === 'pending' && channel) {
+        await channel.messages.delete(review.promptId).catch(() => {});
+    }
+    return true;
+}
+
+// ✅ / ✏️ / ❌ on a prompt - only the poster or an admin can answer it. Discord
+// wants an answer within 3 seconds, so the prompt is acknowledged before any
+// fetching or recording (a second click meanwhile finds it being answered).
+const answeringReviews = new Set();
+
+async function handleSaleReviewButton(interaction) {
+    const [action, messageId] = interaction.customId.split(':');
+    const review = salesData.saleReviews[messageId];
+    if (!review || review.state !== 'pending' || answeringReviews.has(messageId)) {
+        return interaction.reply({ content: '⚠️ This post was already handled', flags: MessageFlags.Ephemeral });
+    }
+    if (interaction.user.id !== review.userId && !isAdmin(interaction.member)) {
+        return interaction.reply({ content: '⛔ Only the agent who posted it or an admin can answer this', flags: MessageFlags.Ephemeral });
+    }
+
+    if (action === 'sale-edit') {
+        // The modal has to be the first answer - prefill from the cache only
+        const cached = interaction.channel.messages.cache.get(messageId);
+        const input = new TextInputBuilder()
+            .setCustomId('content')
+            .setLabel('Sale post ($AP carrier product)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('$1,020 Americo IUL')
+            .setRequired(true);
+        if (cached && cached.content) {
+            input.setValue(cached.content.slice(0, 4000));
+        }
+        const modal = new ModalBuilder()
+            .setCustomId(`sale-edit:${messageId}`)
+            .setTitle('Fix the sale before it counts')
+            .addComponents(new ActionRowBuilder().addComponents(input));
+        return interaction.showModal(modal);
+    }
+
+    answeringReviews.add(messageId);
+    try {
+        await interaction.deferUpdate();
+        const original = await interaction.channel.messages.fetch(messageId).catch(() => null);
+        if (!original) {
+            delete salesData.saleReviews[messageId];
+            await saveData();
+            return interaction.editReply({ content: '🗑️ The post was deleted - nothing recorded', components: [] });
+        }
+
+        if (action === 'sale-dismiss') {
+            finishSaleReview(review, 'dismissed', interaction.user, messageId);
+            await saveData();
+            return interaction.editReply({ content: `❌ Not counted - ${interaction.user.username} turned it down`, components: [], allowedMentions: { parse: [] } });
+        }
+
+        return await recordReviewedSale(interaction, original, review, original.content);
+    } finally {
+        answeringReviews.delete(messageId);
+    }
+}
+
+// The ✏️ modal was sent - the corrected text is recorded as it is
+async function handleSaleReviewModal(interaction) {
+    const messageId = interaction.customId.split(':')[1];
+    const review = salesData.saleReviews[messageId];
+    if (!review || review.state !== 'pending' || answeringReviews.has(messageId)) {
+        return interaction.reply({ content: '⚠️ This post was already handled', flags: MessageFlags.Ephemeral });
+    }
+    const content = interaction.fields.getTextInputValue('content');
+    if (parseMultipleSales(content, false).every(sale => !(sale.amount > 0))) {
+        return interaction.reply({ content: '⚠️ No `$` amount found - write it like `$1,020 Americo IUL`', flags: MessageFlags.Ephemeral });
+    }
+
+    answeringReviews.add(messageId);
+    try {
+        await interaction.deferUpdate();
+        const original = await interaction.channel.messages.fetch(messageId).catch(() => null);
+        if (!original) {
+            delete salesData.saleReviews[messageId];
+            await saveData();
+            return interaction.editReply({ content: '🗑️ The post was deleted - nothing recorded', components: [] });
+        }
+        return await recordReviewedSale(interaction, original, review, content);
+    } finally {
+        answeringReviews.delete(messageId);
+    }
+}
+
+// Runs after the interaction was acknowledged - the prompt is edited when done
+async function recordReviewedSale(interaction, original, review, content) {
+    const sales = recordMessageSales(original, 'message', content);
+    finishSaleReview(review, 'confirmed', interaction.user, original.id);
+    if (content !== original.content) {
+        review.content = content;
+    }
+    await saveData();
+
+    const total = sales.reduce((sum, sale) => sum + sale.amount, 0).toLocaleString('en-US', {minimumFractionDigits: 2});
+    await interaction.editReply({
+        content: `✅ Recorded by ${interaction.user.username}: $${total} AP\n${sales.map(formatSale).join('\n')}`.slice(0, 2000),
+        components: [],
+        allowedMentions: { parse: [] }
+    });
+    await reactToSales(original, sales);
+    await announceGoalCrossings();
+}
+
+function finishSaleReview(review, state, user, messageId) {
+    review.state = state;
+    review.by = user.id;
+    review.decidedAt = new Date().toISOString();
+    if (user.id !== review.userId) {
+        logAudit(user, 'review', { name: `${state} post ${messageId}` });
+    }
+}
+
+// ========================================
+// SALE LEDGER
+// ========================================
+// Every posted policy is stored as its own record in salesData.sales. The
+// daily/weekly/monthly/allTime buckets are derived from those records: a
+// sale is added to (or reversed from) every bucket whose period contains it.
+
+// Wall-clock parts for a date in the guild's timezone (!config timezone).
+// Formatters are reused - the ledger is converted one sale at a time.
+const localFormats = new Map();
+
+function getLocalParts(date = new Date()) {
+    const timeZone = getTimezone();
+    if (!localFormats.has(timeZone)) {
+        localFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    const parts = {};
+    localFormats.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return parts;
+}
+
+// "2025-11-15T09:12:33" in the guild's timezone
+function getLocalTimestamp(date = new Date()) {
+    const p = getLocalParts(date);
+    return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}`;
+}
+
+// ISO week tag ("2025-W46") for a YYYY-MM-DD day key - weeks start on Monday
+function getWeekTag(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Period keys (day / week / month) a local timestamp belongs to
+function getPeriodKeys(localTimestamp) {
+    const day = localTimestamp.slice(0, 10);
+    return {
+        day,
+        week: getWeekTag(day),
+        month: day.slice(0, 7)
+    };
+}
+
+// A sale's time in the guild's current timezone, from its UTC timestamp - the
+// localTimestamp stored with it keeps the timezone it was recorded in
+function getSaleLocalTimestamp(sale) {
+    return getLocalTimestamp(new Date(sale.timestamp));
+}
+
+function getSalePeriodKeys(sale) {
+    return getPeriodKeys(getSaleLocalTimestamp(sale));
+}
+
+// Add (sign = 1) or reverse (sign = -1) a sale in one bucket
+function applySaleToBucket(bucket, sale, sign, withDetails = true) {
+    if (!bucket[sale.userId]) {
+        bucket[sale.userId] = { total: 0, count: 0, username: sale.username, policies: {} };
+    }
+    const entry = bucket[sale.userId];
+    if (!entry.policies) entry.policies = {};
+
+    entry.username = sale.username || entry.username;
+    entry.total = Math.round((entry.total + sign * sale.amount) * 100) / 100;
+    entry.count = Math.round((entry.count + sign * getSaleShare(sale)) * 100) / 100;
+    entry.policies[sale.policyType] = Math.round(((entry.policies[sale.policyType] || 0) + sign * getSaleShare(sale)) * 100) / 100;
+    if (entry.policies[sale.policyType] <= 0) {
+        delete entry.policies[sale.policyType];
+    }
+
+    if (withDetails) {
+        if (!entry.policyDetails) entry.policyDetails = [];
+        if (sign > 0) {
+            entry.policyDetails.push({
+                saleId: sale.id,
+                amount: sale.amount,
+                type: sale.policyType,
+                date: sale.timestamp
+            });
+        } else {
+            entry.policyDetails = entry.policyDetails.filter(detail => detail.saleId !== sale.id);
+        }
+    }
+
+    if (entry.count <= 0 && entry.total <= 0) {
+        delete bucket[sale.userId];
+    }
+}
+
+// Apply a sale to every bucket (current or archived) whose period contains it
+function applySaleToAggregates(sale, sign) {
+    const current = getPeriodKeys(getLocalTimestamp());
+    const keys = getSalePeriodKeys(sale);
+
+    [['daily', 'day'], ['weekly', 'week'], ['monthly', 'month']].forEach(([period, keyType]) => {
+        if (keys[keyType] === current[keyType]) {
+            applySaleToBucket(salesData[period], sale, sign);
+        } else if (salesData.archive[period][keys[keyType]]) {
+            // Corrections to a closed period update its archived results
+            applySaleToBucket(salesData.archive[period][keys[keyType]], sale, sign);
+        }
+    });
+    applySaleToBucket(salesData.allTime, sale, sign, false);
+}
+
+// Aggregate a list of ledger records into a { userId: { total, count, ... } } bucket
+function aggregateSales(sales) {
+    const bucket = {};
+    sales.forEach(sale => applySaleToBucket(bucket, sale, 1));
+    return bucket;
+}
+
+// Ledger records (not voided) whose local period matches, e.g. getLedgerSales('month', '2025-11')
+function getLedgerSales(periodType, key) {
+    return salesData.sales.filter(sale => {
+        if (sale.voided) return false;
+        if (!periodType) return true;
+        return getSalePeriodKeys(sale)[periodType] === key;
+    });
+}
+
+// Add sale - appends a record to the ledger and updates every period bucket
+function addSale(userId, username, amount, policyType, details = {}) {
+    const createdAt = details.timestamp ? new Date(details.timestamp) : new Date();
+    const { carrier, product } = resolvePolicy(policyType);
+
+    salesData.saleSeq = (salesData.saleSeq || 0) + 1;
+    const sale = {
+        id: salesData.saleSeq,
+        messageId: details.messageId || null,
+        channelId: details.channelId || null,
+        userId,
+        username,
+        amount,
+        carrier,
+        product,
+        policyType,
+        timestamp: createdAt.toISOString(),
+        localTimestamp: getLocalTimestamp(createdAt),
+        source: details.source || 'message',
+        replaces: details.replaces || null,
+        premium: details.premium || null,
+        split: details.split || null,
+        status: details.status || 'submitted',
+        statusHistory: details.statusHistory || [],
+        voided: null
+    };
+
+    // Make sure the buckets belong to the current periods before adding
+    checkResets();
+    salesData.sales.push(sale);
+    applySaleToAggregates(sale, 1);
+
+    saveData();
+    notifyDashboards();
+    return sale;
+}
+
+// Reverse a sale - the record stays in the ledger, marked as voided
+function voidSale(sale, reason, by = null) {
+    if (sale.voided) return false;
+    checkResets();
+    sale.voided = {
+        at: new Date().toISOString(),
+        reason,
+        by
+    };
+    applySaleToAggregates(sale, -1);
+    notifyDashboards();
+    return true;
+}
+
+// Active (not voided) sales recorded from a Discord message
+function getSalesByMessage(messageId) {
+    return salesData.sales.filter(sale => sale.messageId === messageId && !sale.voided);
+}
+
+// Record every sale found in a sales-channel message, returns the recorded sales
+// (content: the text an agent confirmed instead of the post's own)
+function recordMessageSales(message, source = 'message', content = message.content) {
+    const credits = getSaleCredits(message, true, content);
+    const recorded = [];
+
+    for (const credit of credits) {
+        recorded.push(addSale(
+            credit.userId,
+            credit.username,
+            credit.amount,
+            credit.policyType,
+            {
+                messageId: message.id,
+                channelId: message.channel.id,
+                timestamp: message.createdAt,
+                source,
+                premium: credit.premium,
+                split: credit.split
+            }
+        ));
+        console.log(`💰 Sale recorded: ${credit.username} - $${credit.amount} AP - ${credit.policyType}${credit.split ? ` (${Math.round(credit.split.share * 100)}% split)` : ''}`);
+    }
+
+    return recorded;
+}
+
+// True when any ledger record (even a voided one) came from this message
+function isMessageRecorded(messageId) {
+    return salesData.sales.some(sale => sale.messageId === messageId);
+}
+
+// A post from before the ledger started that it has no record of - the opening
+// balances (or records imported without a message id) already count it
+function isPreLedgerMessage(message) {
+    if (!salesData.openingBalances || isMessageRecorded(message.id)) return false;
+    const createdAt = message.createdAt || new Date(message.createdTimestamp);
+    return createdAt < new Date(salesData.openingBalances.since);
+}
+
+// Emoji reactions for the sales recorded from a message
+async function reactToSales(message, sales) {
+    const totalAmount = sales.reduce((sum, sale) => sum + sale.amount, 0);
+    if (totalAmount <= 0) return;
+
+    await message.react('✅');
+    await message.react('💰');
+    
+    if (totalAmount >= 1000) {
+        await message.react('🔥');
+    }
+    
+    if (totalAmount >= 5000) {
+        await message.react('🚀');
+    }
+    
+    const policies = sales.reduce((sum, sale) => sum + getSaleShare(sale), 0);
+    if (policies >= 3) {
+        await message.react('⭐');
+    }
+
+    if (sales.some(sale => sale.split)) {
+        await message.react('🤝');
+    }
+    
+    console.log(`📊 Total recorded: ${policies} policies, $${totalAmount} total AP`);
+}
+
+// ========================================
+// CATCH-UP AFTER DOWNTIME
+// ========================================
+// While the bot sleeps (free hosting) or restarts, sales keep being posted.
+// On startup we read the sales channels from the last message we processed and
+// record every sale we haven't seen - message ids make this safe to repeat.
+// Message ids grow over time across channels, so one cursor covers them all.
+async function catchUpMissedSales(channels) {
+    const after = salesData.lastProcessedMessageId;
+    let messages = [];
+    for (const channel of channels) {
+        if (after) {
+            messages = messages.concat(await fetchChannelMessages(channel, { after }));
+        } else {
+            // First run: don't import the whole channel, just today
+            messages = messages.concat(await fetchChannelMessages(channel, { since: getLocalDayStart(getLocalTimestamp().slice(0, 10)) }));
+        }
+    }
+
+    // Oldest first across every channel - sales are saved (cursor included) as they
+    // are recorded, so a crash halfway must never leave an unread message behind the cursor
+    messages.sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+
+    const summary = { messages: messages.length, sales: 0, total: 0, agents: new Set() };
+    for (const msg of messages) {
+        // The first run after the upgrade also reads today's posts the opening balances hold
+        if (!isMessageRecorded(msg.id) && !salesData.saleReviews[msg.id] && !isPreLedgerMessage(msg)) {
+            const sales = await processSalePost(msg, 'replay');
+            sales.forEach(sale => {
+                summary.sales += 1;
+                summary.total += sale.amount;
+                summary.agents.add(sale.username);
+            });
+        }
+        if (!salesData.lastProcessedMessageId || BigInt(msg.id) > BigInt(salesData.lastProcessedMessageId)) {
+            salesData.lastProcessedMessageId = msg.id;
+        }
+    }
+
+    await saveData();
+    console.log(`⏪ Caught up ${summary.sales} sales ($${summary.total}) from ${summary.messages} missed messages`);
+    return summary;
+}
+
+function formatCatchUpSummary(summary) {
+    const total = summary.total.toLocaleString('en-US', {minimumFractionDigits: 2});
+    const agents = [...summary.agents].join(', ');
+    return `⏪ **Caught up ${summary.sales} sales** ($${total} AP) from ${summary.messages} messages posted while the bot was offline${agents ? `\n👥 ${agents}` : ''}`;
+}
+
+// Sales channels of the guild being handled that the bot can see
+function getSalesChannels() {
+    return getGuildConfig().salesChannelIds
+        .map(channelId => client.channels.cache.get(channelId))
+        .filter(Boolean);
+}
+
+// Startup catch-up for every guild, reported to its admin channel when anything was missed.
+// Sales posted before a guild is caught up leave its cursor alone (see messageCreate),
+// otherwise the catch-up would start after them and skip the rest of the downtime.
+async function runStartupCatchUp() {
+    await forEachGuild(async config => {
+        const channels = getSalesChannels();
+        if (channels.length === 0) {
+            console.log(`⚠️ No sales channel found in ${config.name || config.guildId}, skipping catch-up`);
+            currentStore().caughtUp = true;
+            return;
+        }
+
+        try {
+            const summary = await catchUpMissedSales(channels);
+            currentStore().caughtUp = true;
+            const adminChannel = getConfiguredChannel('adminChannelId');
+            if (summary.sales > 0 && adminChannel) {
+                await adminChannel.send(formatCatchUpSummary(summary));
+            }
+            if (summary.sales > 0) {
+                await announceGoalCrossings();
+            }
+        } catch (error) {
+            console.error('❌ Error catching up missed sales:', error);
+        }
+    });
+    startupCatchUpDone = true;
+}
+
+// !catchup - run the catch-up again by hand
+async function handleCatchUpCommand(message) {
+    const channels = getSalesChannels();
+    if (channels.length === 0) {
+        return message.reply('❌ No sales channel configured - use `!config sales add #channel`');
+    }
+    const summary = await catchUpMissedSales(channels);
+    currentStore().caughtUp = true;
+    await message.reply(summary.sales > 0 ? formatCatchUpSummary(summary) : `✅ Up to date - ${summary.messages} messages checked, no missed sales`);
+}
+
+// ========================================
+// ADMIN CORRECTIONS
+// ========================================
+// Server admins, plus the guild's admin role when one is configured (!config adminrole)
+function isAdmin(member) {
+    if (!member) return false;
+    const { adminRoleId } = getGuildConfig();
+    return member.permissions.has(PermissionFlagsBits.Administrator) ||
+        (!!adminRoleId && member.roles.cache.has(adminRoleId));
+}
+
+// "$1,200.50" / "1200" -> 1200.5 (NaN when it isn't an amount)
+function parseAmount(text) {
+    if (!text || !/^\$?[\d,]+(\.\d{1,2})?\$?$/.test(text)) return NaN;
+    return parseFloat(text.replace(/[$,]/g, ''));
+}
+
+// A Date inside the given local day (midday, so DST never moves it to another day)
+function getDateForLocalDay(dayKey) {
+    const noonUTC = new Date(`${dayKey}T12:00:00.000Z`);
+    const p = getLocalParts(noonUTC);
+    const offset = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute)) - noonUTC.getTime();
+    return new Date(noonUTC.getTime() - offset);
+}
+
+// Local midnight at the start of the given day
+function getLocalDayStart(dayKey) {
+    const midday = getDateForLocalDay(dayKey);
+    const p = getLocalParts(midday);
+    const sinceMidnight = (Number(p.hour) * 3600 + Number(p.minute) * 60 + Number(p.second)) * 1000;
+    return new Date(midday.getTime() - sinceMidnight);
+}
+
+// Keep a record of who changed what
+function logAudit(actor, action, details) {
+    const entry = {
+        at: new Date().toISOString(),
+        by: actor.id,
+        byName: actor.username,
+        action,
+        ...details
+    };
+    salesData.auditLog.push(entry);
+    console.log(`📝 Audit: ${actor.username} ${action} ${JSON.stringify(details)}`);
+    return entry;
+}
+
+// Replace a sale with a corrected copy - the original is voided, never edited.
+// A split policy is corrected as a whole (see resplitSale).
+function correctSale(sale, changes, reason, by) {
+    if (sale.split && changes.split === undefined) {
+        return resplitSale(sale, changes, reason, by);
+    }
+    voidSale(sale, reason, by);
+    return addSale(
+        changes.userId || sale.userId,
+        changes.username || sale.username,
+        changes.amount !== undefined ? changes.amount : sale.amount,
+        changes.policyType || sale.policyType,
+        {
+            messageId: sale.messageId,
+            channelId: sale.channelId,
+            timestamp: sale.timestamp,
+            source: 'admin',
+            replaces: sale.id,
+            premium: changes.amount !== undefined ? null : sale.premium,
+            split: changes.split !== undefined ? changes.split : sale.split,
+            ...inheritStatus(sale)
+        }
+    );
+}
+
+// Correct every agent's record of a split policy together: changes.amount is the
+// policy's new AP, changes.userId takes over this record's share (merged into
+// theirs when they already co-wrote it). Returns the record of that share.
+function resplitSale(sale, changes, reason, by) {
+    const partners = getSplitPartners(sale);
+    const total = changes.amount !== undefined ? changes.amount : sale.split.total;
+    const policyType = changes.policyType || sale.policyType;
+    const movedTo = userId => (changes.userId && userId === sale.userId ? changes.userId : userId);
+
+    const agents = [];
+    sale.split.agents.forEach(agent => {
+        const userId = movedTo(agent.userId);
+        const existing = agents.find(other => other.userId === userId);
+        if (existing) {
+            existing.share = Math.round((existing.share + agent.share) * 100) / 100;
+        } else {
+            agents.push({ userId, username: userId === changes.userId ? changes.username : agent.username, share: agent.share });
+        }
+    });
+
+    // Same rounding as a posted split - the first agent takes the remainder
+    const amounts = agents.map(agent => Math.round(total * agent.share * 100) / 100);
+    amounts[0] = Math.round((total - amounts.slice(1).reduce((sum, amount) => sum + amount, 0)) * 100) / 100;
+
+    const corrected = new Map();
+    partners.forEach(partner => {
+        const userId = movedTo(partner.userId);
+        const i = agents.findIndex(agent => agent.userId === userId);
+        if (i === -1 || corrected.has(userId)) {
+            // Its share was merged into another record
+            voidSale(partner, reason, by);
+            return;
+        }
+        corrected.set(userId, correctSale(partner, {
+            userId,
+            username: agents[i].username,
+            amount: amounts[i],
+            policyType,
+            split: agents.length > 1 ? { share: agents[i].share, total, agents } : null
+        }, reason, by));
+    });
+    return corrected.get(movedTo(sale.userId));
+}
+
+function findSale(idText) {
+    const id = parseInt((idText || '').replace(/^#/, ''), 10);
+    return salesData.sales.find(sale => sale.id === id);
+}
+
+function formatSale(sale) {
+    const amount = sale.amount.toLocaleString('en-US', {minimumFractionDigits: 2});
+    const status = sale.status && sale.status !== 'submitted' ? ` ${SALE_STATUSES[sale.status].emoji} ${SALE_STATUSES[sale.status].label}` : '';
+    const split = sale.split ? ` ${formatSplit(sale)}` : '';
+    return `\`#${sale.id}\` ${getSaleLocalTimestamp(sale).slice(0, 10)} **${sale.username}** $${amount} ${sale.policyType}${split}${status}${sale.voided ? ` ~~voided (${sale.voided.reason})~~` : ''}`;
+}
+
+// !addsale @member <amount> [YYYY-MM-DD] [policy...]
+async function handleAddSaleCommand(message, args) {
+    const member = message.mentions.users.first();
+    const rest = args.filter(arg => !/^<@!?\d+>$/.test(arg));
+    const amount = parseAmount(rest.shift());
+    // Without a date the sale is credited right now
+    let timestamp = new Date();
+    if (rest[0] && /^\d{4}-\d{2}-\d{2}$/.test(rest[0])) {
+        timestamp = getDateForLocalDay(rest.shift());
+    }
+    const dayKey = getLocalTimestamp(timestamp).slice(0, 10);
+    const policyType = rest.join(' ') || 'General Policy';
+
+    if (!member || !(amount > 0)) {
+        return message.reply('Usage: `!addsale @member <amount> [YYYY-MM-DD] [policy]`');
+    }
+
+    const sale = addSale(member.id, member.username, amount, policyType, {
+        timestamp,
+        channelId: message.channel.id,
+        source: 'admin'
+    });
+    logAudit(message.author, 'addsale', { saleId: sale.id, userId: member.id, amount, date: dayKey, policyType });
+    await saveData();
+    await message.reply(`✅ Sale added: ${formatSale(sale)}`);
+    await announceGoalCrossings();
+}
+
+// !removesale <saleId> [reason]
+async function handleRemoveSaleCommand(message, args) {
+    const sale = findSale(args[0]);
+    if (!sale) {
+        return message.reply('Usage: `!removesale <saleId> [reason]` - find ids with `!sales @member`');
+    }
+    if (sale.voided) {
+        return message.reply(`⚠️ Sale #${sale.id} was already removed (${sale.voided.reason})`);
+    }
+
+    const reason = args.slice(1).join(' ') || 'removed by admin';
+    voidSale(sale, reason, message.author.id);
+    logAudit(message.author, 'removesale', { saleId: sale.id, userId: sale.userId, amount: sale.amount, reason });
+    await saveData();
+    await message.reply(`🗑️ Sale removed: ${formatSale(sale)}`);
+}
+
+// !adjust <saleId> <amount> [policy...] - for a split sale the amount is the whole policy's AP
+async function handleAdjustCommand(message, args) {
+    const sale = findSale(args[0]);
+    const amount = parseAmount(args[1]);
+    if (!sale || sale.voided || !(amount > 0)) {
+        return message.reply('Usage: `!adjust <saleId> <amount> [policy]` (sale must not be removed)');
+    }
+
+    const policyType = args.slice(2).join(' ') || sale.policyType;
+    const corrected = correctSale(sale, { amount, policyType }, 'adjusted by admin', message.author.id);
+    logAudit(message.author, 'adjust', {
+        saleId: sale.id,
+        newSaleId: corrected.id,
+        userId: sale.userId,
+        from: { amount: sale.split ? sale.split.total : sale.amount, policyType: sale.policyType },
+        to: { amount, policyType }
+    });
+    await saveData();
+    await message.reply(`✏️ Sale adjusted: $${sale.split ? sale.split.total : sale.amount} → ${formatSale(corrected)}${sale.split ? '\n🤝 Every co-writer\'s share was recalculated' : ''}`);
+}
+
+// !transfer <saleId> @member
+async function handleTransferCommand(message, args) {
+    const sale = findSale(args[0]);
+    const member = message.mentions.users.first();
+    if (!sale || sale.voided || !member) {
+        return message.reply('Usage: `!transfer <saleId> @member` (sale must not be removed)');
+    }
+    if (sale.userId === member.id) {
+        return message.reply(`⚠️ Sale #${sale.id} already belongs to ${member.username}`);
+    }
+
+    const corrected = correctSale(sale, { userId: member.id, username: member.username }, `transferred to ${member.username}`, message.author.id);
+    logAudit(message.author, 'transfer', {
+        saleId: sale.id,
+        newSaleId: corrected.id,
+        fromUserId: sale.userId,
+        toUserId: member.id,
+        amount: sale.amount
+    });
+    await saveData();
+    await message.reply(`🔀 Sale transferred from ${sale.username}: ${formatSale(corrected)}`);
+}
+
+// !sales @member [YYYY-MM-DD] - list ledger records with their ids
+async function handleListSalesCommand(message, args) {
+    const member = message.mentions.users.first();
+    const dayKey = args.find(arg => /^\d{4}-\d{2}-\d{2}$/.test(arg));
+    if (!member) {
+        return message.reply('Usage: `!sales @member [YYYY-MM-DD]`');
+    }
+
+    const sales = salesData.sales
+        .filter(sale => sale.userId === member.id)
+        .filter(sale => !dayKey || getSaleLocalTimestamp(sale).startsWith(dayKey))
+        .slice(-15);
+
+    if (sales.length === 0) {
+        return message.reply(`📝 No sales found for ${member.username}${dayKey ? ` on ${dayKey}` : ''}`);
+    }
+    await message.reply(`🧾 **${member.username}** - last ${sales.length} sales${dayKey ? ` on ${dayKey}` : ''}:\n${sales.map(formatSale).join('\n')}`);
+}
+
+// !audit [n] - latest corrections
+async function handleAuditCommand(message, args) {
+    const limit = Math.min(parseInt(args[0], 10) || 10, 25);
+    const entries = salesData.auditLog.slice(-limit).reverse();
+    if (entries.length === 0) {
+        return message.reply('📝 No admin changes recorded yet');
+    }
+
+    const lines = entries.map(entry => {
+        const when = getLocalTimestamp(new Date(entry.at)).replace('T', ' ').slice(0, 16);
+        const target = entry.saleId ? `#${entry.saleId}${entry.status ? ` → ${entry.status}` : ''}` : [entry.kind, entry.name].filter(Boolean).join(' ');
+        return `\`${when}\` **${entry.byName}** ${entry.action} ${target}`;
+    });
+    await message.reply(`📋 **Audit log** (latest ${entries.length}):\n${lines.join('\n')}`);
+}
+
+// !catalog - list carriers/products
+// !catalog add carrier|product <Name> [= alias, alias]
+// !catalog alias carrier|product <name or alias> = <alias, alias>
+// !catalog reset
+async function handleCatalogCommand(message, args) {
+    const action = (args[0] || '').toLowerCase();
+
+    if (!action || action === 'list') {
+        const carriers = catalog.carriers
+            .map(entry => `**${entry.short || entry.name}** ${entry.short && entry.short !== entry.name ? `(${entry.name})` : ''}${entry.aliases.length ? ` - ${entry.aliases.join(', ')}` : ''}`)
+            .join('\n');
+        const products = catalog.products
+            .map(entry => `**${entry.name}**${entry.aliases.length ? ` - ${entry.aliases.join(', ')}` : ''}`)
+            .join('\n');
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0066CC)
+            .setTitle('📚 Carrier & Product Catalog')
+            .addFields(
+                { name: '🏢 **CARRIERS**', value: carriers.slice(0, 1024) || 'None' },
+                { name: '📋 **PRODUCTS**', value: products.slice(0, 1024) || 'None' }
+            )
+            .setFooter({ text: 'Aliases are matched as whole words in sale posts' })
+            .setTimestamp();
+        return message.channel.send({ embeds: [embed] });
+    }
+
+    if (!isAdmin(message.member)) return;
+
+    if (action === 'reset') {
+        catalog = JSON.parse(JSON.stringify(DEFAULT_CATALOG));
+        await saveCatalog();
+        logAudit(message.author, 'catalog-reset', {});
+        await saveData();
+        return message.reply('🔄 Catalog reset to the built-in carriers and products');
+    }
+
+    const kind = (args[1] || '').toLowerCase();
+    const list = kind === 'carrier' ? catalog.carriers : kind === 'product' ? catalog.products : null;
+    const [namePart, aliasPart = ''] = args.slice(2).join(' ').split('=');
+    const name = namePart.trim();
+    const aliases = aliasPart.split(',').map(alias => alias.trim()).filter(Boolean);
+
+    if (!list || !name || (action === 'alias' && aliases.length === 0) || !['add', 'alias'].includes(action)) {
+        return message.reply('Usage: `!catalog add carrier|product <Name> [= alias, alias]` or `!catalog alias carrier|product <name> = <alias, alias>`');
+    }
+
+    const entry = list.find(item => [item.name, item.short, ...item.aliases]
+        .some(alias => normalizeAliasText(alias) === normalizeAliasText(name)));
+
+    if (action === 'add') {
+        if (entry) {
+            return message.reply(`⚠️ ${kind} **${name}** is already in the catalog as **${entry.name}**`);
+        }
+        list.push(kind === 'carrier' ? { name, short: name, aliases } : { name, aliases });
+    } else {
+        if (!entry) {
+            return message.reply(`⚠️ No ${kind} named **${name}** in the catalog`);
+        }
+        aliases.forEach(alias => {
+            if (!entry.aliases.includes(alias)) entry.aliases.push(alias);
+        });
+    }
+
+    await saveCatalog();
+    logAudit(message.author, `catalog-${action}`, { kind, name, aliases });
+    await saveData();
+    await message.reply(`📚 Catalog updated: ${kind} **${name}**${aliases.length ? ` ← ${aliases.join(', ')}` : ''} (applies to new sales)`);
+}
+
+// ========================================
+// POLICY LIFECYCLE
+// ========================================
+// Every sale is written as "submitted" and later moves on to issued and paid,
+// or ends declined or charged back. Period totals (leaderboards, goals) stay
+// on submitted AP; the issued/paid views are worked out from the ledger and
+// count each policy in the period it was written.
+const SALE_STATUSES = {
+    submitted: { label: 'Submitted', emoji: '📝', next: ['issued', 'declined'] },
+    issued: { label: 'Issued', emoji: '📄', next: ['paid', 'declined', 'chargeback'] },
+    paid: { label: 'Paid', emoji: '💵', next: ['chargeback'] },
+    declined: { label: 'Declined', emoji: '❌', next: [] },
+    chargeback: { label: 'Chargeback', emoji: '↩️', next: [] }
+};
+
+const STATUS_ALIASES = {
+    'submitted': 'submitted',
+    'pending': 'submitted',
+    'issued': 'issued',
+    'issue': 'issued',
+    'approved': 'issued',
+    'paid': 'paid',
+    'placed': 'paid',
+    'declined': 'declined',
+    'decline': 'declined',
+    'denied': 'declined',
+    'rejected': 'declined',
+    'chargeback': 'chargeback',
+    'charged back': 'chargeback',
+    'cb': 'chargeback',
+    'lapsed': 'chargeback'
+};
+
+// Statuses whose AP counts as issued (net of chargebacks, which leave it)
+const STATUS_VIEWS = {
+    'issued': ['issued', 'paid'],
+    'paid': ['paid']
+};
+
+// "issued", "Paid ✅", "charged back!" -> status key (first one or two words)
+function parseStatusWord(text) {
+    const words = normalizeAliasText(text || '').split(' ');
+    return STATUS_ALIASES[words.slice(0, 2).join(' ')] || STATUS_ALIASES[words[0]] || null;
+}
+
+function setSaleStatus(sale, status, by, note = null) {
+    if (sale.voided || sale.status === status) return false;
+    sale.statusHistory.push({ from: sale.status, status, at: new Date().toISOString(), by: by.id, note });
+    sale.status = status;
+    return true;
+}
+
+// Status of a sale that replaces another (correction, edited post) - {} when there is none
+function inheritStatus(sale) {
+    return sale ? { status: sale.status, statusHistory: sale.statusHistory.slice() } : {};
+}
+
+function getStatusSales(sales, view) {
+    return sales.filter(sale => STATUS_VIEWS[view].includes(sale.status));
+}
+
+// Submitted vs issued/paid AP lines for a set of sales
+function formatStatusSummary(sales) {
+    const money = value => `$${value.toLocaleString('en-US', {minimumFractionDigits: 2})}`;
+    const sum = list => list.reduce((total, sale) => total + sale.amount, 0);
+    // Split cases count as the agent's share of a policy
+    const count = list => Math.round(list.reduce((total, sale) => total + getSaleShare(sale), 0) * 100) / 100;
+    const byStatus = status => sales.filter(sale => sale.status === status);
+    const issued = getStatusSales(sales, 'issued');
+
+    const lines = [
+        `📝 Submitted: **${money(sum(sales))}** (${count(sales)})`,
+        `📄 Issued/Paid: **${money(sum(issued))}** (${count(issued)}) · 💵 Paid: ${money(sum(byStatus('paid')))}`
+    ];
+    if (byStatus('declined').length > 0) {
+        lines.push(`❌ Declined: ${money(sum(byStatus('declined')))} (${count(byStatus('declined'))})`);
+    }
+    if (byStatus('chargeback').length > 0) {
+        lines.push(`↩️ Chargebacks: -${money(sum(byStatus('chargeback')))} (${count(byStatus('chargeback'))})`);
+    }
+    lines.push(`⏳ Awaiting issue: ${money(sum(byStatus('submitted')))} (${count(byStatus('submitted'))})`);
+    return lines.join('\n');
+}
+
+// An agent (or an admin) replies "issued", "paid", "declined" or "chargeback"
+// to a sale post - returns true when the reply was a status update
+async function handleStatusReply(message) {
+    const referenceId = message.reference && message.reference.messageId;
+    const status = referenceId && parseStatusWord(message.content);
+    if (!status || message.content.includes('$') || message.content.split(/\s+/).length > 6) return false;
+
+    const sales = getSalesByMessage(referenceId);
+    if (sales.length === 0) return false;
+
+    const admin = isAdmin(message.member);
+    const changed = sales.filter(sale =>
+        (admin || (isSaleAgent(sale, message.author.id) && SALE_STATUSES[sale.status].next.includes(status))) &&
+        setSaleStatus(sale, status, message.author));
+
+    if (changed.length === 0) {
+        await message.react('⚠️');
+        return true;
+    }
+    if (admin) {
+        changed.forEach(sale => logAudit(message.author, 'status', { saleId: sale.id, status }));
+    }
+    await saveData();
+    await message.react(SALE_STATUSES[status].emoji);
+    console.log(`🧾 ${message.author.username} marked ${changed.map(sale => `#${sale.id}`).join(', ')} as ${status}`);
+    return true;
+}
+
+// !status <id>                                  - a sale's status history
+// !status <id[,id...]> <status> [note]         - submitted|issued|paid|declined|chargeback
+async function handleStatusCommand(message, args) {
+    const usage = 'Usage: `!status <id>` or `!status <id[,id...]> issued|paid|declined|chargeback|submitted [note]`';
+    const ids = (args[0] || '').split(',').filter(Boolean);
+    if (ids.length === 0) return message.reply(usage);
+
+    if (args.length === 1) {
+        const sale = findSale(ids[0]);
+        if (!sale) return message.reply(`⚠️ Sale ${ids[0]} not found`);
+        const history = sale.statusHistory.map(entry => {
+            const when = getLocalTimestamp(new Date(entry.at)).replace('T', ' ').slice(0, 16);
+            return `\`${when}\` ${SALE_STATUSES[entry.status].emoji} ${SALE_STATUSES[entry.status].label} <@${entry.by}>${entry.note ? ` - ${entry.note}` : ''}`;
+        });
+        return message.reply({
+            content: `${formatSale(sale)}\n${history.length > 0 ? history.join('\n') : '*No status changes yet*'}`,
+            allowedMentions: { parse: [] }
+        });
+    }
+
+    const status = STATUS_ALIASES[args[1].toLowerCase()];
+    if (!status) return message.reply(usage);
+    const note = args.slice(2).join(' ') || null;
+
+    const lines = [];
+    const sales = [];
+    ids.forEach(idText => {
+        const sale = findSale(idText);
+        if (!sale) {
+            lines.push(`⚠️ ${idText} not found`);
+            return;
+        }
+        // The co-writers' shares of a split case move with it
+        getSplitPartners(sale).filter(partner => !sales.includes(partner)).forEach(partner => sales.push(partner));
+    });
+
+    let changed = 0;
+    sales.forEach(sale => {
+        if (!setSaleStatus(sale, status, message.author, note)) {
+            lines.push(`➖ ${formatSale(sale)} - unchanged`);
+        } else {
+            logAudit(message.author, 'status', { saleId: sale.id, status, note });
+            lines.push(`${SALE_STATUSES[status].emoji} ${formatSale(sale)}`);
+            changed += 1;
+        }
+    });
+    if (changed > 0) {
+        await saveData();
+    }
+    await message.reply({ content: lines.join('\n').slice(0, 1900), allowedMentions: { parse: [] } });
+}
+
+// ========================================
+// TEAMS
+// ========================================
+// Agents belong to a team either explicitly (!team add) or through a Discord
+// role linked to the team. Role membership is remembered in salesData.teamRoster
+// whenever an agent posts, and refreshed for every known agent with !team sync.
+
+function getTeamId(name) {
+    return normalizeAliasText(name).replace(/ /g, '-');
+}
+
+function findTeam(name) {
+    const id = getTeamId(name || '');
+    if (salesData.teams[id]) return salesData.teams[id];
+    return Object.values(salesData.teams).find(team => normalizeAliasText(team.name) === normalizeAliasText(name || ''));
+}
+
+// Team id for an agent - explicit membership wins over roles
+function getTeamForUser(userId) {
+    const explicit = Object.values(salesData.teams).find(team => team.members.includes(userId));
+    if (explicit) return explicit.id;
+    const rostered = salesData.teamRoster[userId];
+    return rostered && salesData.teams[rostered] ? rostered : null;
+}
+
+// Remember which role-based team a guild member belongs to
+function updateTeamRoster(member) {
+    if (!member || !member.roles) return false;
+    const team = Object.values(salesData.teams).find(item => item.roleId && member.roles.cache.has(item.roleId));
+    const teamId = team ? team.id : null;
+    if ((salesData.teamRoster[member.id] || null) === teamId) return false;
+
+    if (teamId) {
+        salesData.teamRoster[member.id] = teamId;
+    } else {
+        delete salesData.teamRoster[member.id];
+    }
+    return true;
+}
+
+// Re-read the roles of every agent with sales
+async function refreshTeamRoster(guild) {
+    const ids = Object.keys(salesData.allTime).filter(id => /^\d+$/.test(id));
+    let updated = 0;
+    for (let i = 0; i < ids.length; i += 100) {
+        const members = await guild.members.fetch({ user: ids.slice(i, i + 100) });
+        members.forEach(member => {
+            if (updateTeamRoster(member)) updated += 1;
+        });
+    }
+    return updated;
+}
+
+// Bucket entries for the agents of one team
+function filterBucketByTeam(bucket, teamId) {
+    const filtered = {};
+    Object.entries(bucket).forEach(([userId, entry]) => {
+        if (getTeamForUser(userId) === teamId) filtered[userId] = entry;
+    });
+    return filtered;
+}
+
+// Team totals for a bucket: [{ id, name, managerId, total, count, agents, top }]
+function summarizeTeams(bucket) {
+    const standings = {};
+    Object.values(salesData.teams).forEach(team => {
+        standings[team.id] = { id: team.id, name: team.name, managerId: team.managerId, total: 0, count: 0, agents: 0, top: null };
+    });
+    const unassigned = { id: null, name: 'Unassigned', managerId: null, total: 0, count: 0, agents: 0, top: null };
+
+    Object.entries(bucket).forEach(([userId, entry]) => {
+        const teamId = getTeamForUser(userId);
+        const row = teamId ? standings[teamId] : unassigned;
+        row.total += entry.total;
+        row.count += entry.count;
+        row.agents += 1;
+        if (!row.top || entry.total > row.top.total) {
+            row.top = { username: entry.username, total: entry.total };
+        }
+    });
+
+    const sorted = Object.values(standings).sort((a, b) => b.total - a.total);
+    if (unassigned.agents > 0) sorted.push(unassigned);
+    return sorted;
+}
+
+// Team-vs-team standings embed
+function generateTeamLeaderboard(bucket, title) {
+    const standings = summarizeTeams(bucket);
+    const medals = ['🥇', '🥈', '🥉'];
+
+    const embed = new EmbedBuilder()
+        .setColor(0x3498DB)
+        .setTitle(title)
+        .setDescription(`💰 **Teams ranked by Annual Premium (AP)**\n━━━━━━━━━━━━━━━━━━━━━`)
+        .setTimestamp()
+        .setFooter({ text: '💼 BIG - Team Rankings' });
+
+    if (standings.length === 0) {
+        embed.addFields({ name: '📝 No Teams', value: 'Create one with `!team create <name> [@role]`' });
+        return embed;
+    }
+
+    standings.forEach((team, index) => {
+        const medal = team.id && medals[index] ? `${medals[index]} ` : '';
+        const average = team.agents > 0 ? team.total / team.agents : 0;
+        const lines = [
+            `💵 **$${team.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP** · ${team.count} policies`,
+            `👥 ${team.agents} agents · avg $${average.toLocaleString('en-US', {minimumFractionDigits: 2})}`
+        ];
+        if (team.top) lines.push(`👑 ${team.top.username}`);
+        if (team.managerId) lines.push(`🧑‍💼 <@${team.managerId}>`);
+        embed.addFields({ name: `${medal}${team.name}`, value: lines.join('\n'), inline: true });
+    });
+
+    return embed;
+}
+
+// !teams / !team list
+// !team create <name> [@role] · !team delete <name> · !team role <name> @role
+// !team add <name> @member... · !team remove <name> @member... · !team manager <name> @member
+// !team sync
+async function handleTeamCommand(message, args) {
+    const action = (args[0] || 'list').toLowerCase();
+    const name = args.slice(1).filter(arg => !/^<@[!&]?\d+>$/.test(arg)).join(' ');
+    const usage = 'Usage: `!team create <name> [@role]`, `!team add|remove <name> @member`, `!team manager <name> @member`, `!team role <name> @role`, `!team delete <name>`, `!team sync`';
+
+    if (action === 'list') {
+        const teams = Object.values(salesData.teams);
+        if (teams.length === 0) {
+            return message.reply('📝 No teams yet - admins can create one with `!team create <name> [@role]`');
+        }
+        const lines = teams.map(team => {
+            const rostered = Object.entries(salesData.teamRoster).filter(([, id]) => id === team.id).map(([userId]) => userId);
+            const members = [...new Set([...team.members, ...rostered])];
+            return `**${team.name}**${team.managerId ? ` - manager <@${team.managerId}>` : ''}${team.roleId ? ` - role <@&${team.roleId}>` : ''}\n👥 ${members.length ? members.map(id => `<@${id}>`).join(' ') : '*no agents yet*'}`;
+        });
+        return message.reply({ content: `🏢 **Teams**\n${lines.join('\n\n')}`, allowedMentions: { parse: [] } });
+    }
+
+    if (!isAdmin(message.member)) return;
+
+    if (action === 'sync') {
+        if (!message.guild) return message.reply('❌ Run this in the server');
+        const updated = await refreshTeamRoster(message.guild);
+        await saveData();
+        return message.reply(`🔄 Team roles refreshed - ${updated} agents changed team`);
+    }
+
+    const role = message.mentions.roles.first();
+    const members = [...message.mentions.users.values()];
+
+    if (action === 'create') {
+        if (!name) return message.reply(usage);
+        if (findTeam(name)) return message.reply(`⚠️ Team **${name}** already exists`);
+        const id = getTeamId(name);
+        salesData.teams[id] = { id, name, roleId: role ? role.id : null, managerId: null, members: [] };
+        logAudit(message.author, 'team-create', { kind: 'team', name, roleId: role ? role.id : null });
+        await saveData();
+        return message.reply(`🏢 Team **${name}** created${role ? ` for role ${role.name}` : ''}`);
+    }
+
+    const team = findTeam(name);
+    if (!team) {
+        return message.reply(name ? `⚠️ No team named **${name}** - see \`!teams\`` : usage);
+    }
+
+    switch (action) {
+        case 'delete':
+            delete salesData.teams[team.id];
+            Object.keys(salesData.teamRoster).forEach(userId => {
+                if (salesData.teamRoster[userId] === team.id) delete salesData.teamRoster[userId];
+            });
+            break;
+        case 'role':
+            if (!role) return message.reply(usage);
+            team.roleId = role.id;
+            break;
+        case 'manager':
+            if (members.length === 0) return message.reply(usage);
+            team.managerId = members[0].id;
+            break;
+        case 'add':
+            if (members.length === 0) return message.reply(usage);
+            // An agent is on one team at a time
+            Object.values(salesData.teams).forEach(other => {
+                other.members = other.members.filter(id => !members.some(member => member.id === id));
+            });
+            team.members.push(...members.map(member => member.id));
+            break;
+        case 'remove':
+            if (members.length === 0) return message.reply(usage);
+            team.members = team.members.filter(id => !members.some(member => member.id === id));
+            break;
+        default:
+            return message.reply(usage);
+    }
+
+    logAudit(message.author, `team-${action}`, {
+        kind: 'team',
+        name: team.name,
+        members: members.map(member => member.id),
+        roleId: role ? role.id : undefined
+    });
+    await saveData();
+    await message.reply(`🏢 Team **${team.name}** updated (${action}${members.length ? `: ${members.map(member => member.username).join(', ')}` : ''})`);
+}
+
+// ========================================
+// SERVER CONFIG
+// ========================================
+// Per-server settings (see GUILDS) - replaces the SALES_CHANNEL_ID /
+// LEADERBOARD_CHANNEL_ID / ADMIN_CHANNEL_ID env vars after the first start.
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function generateConfigEmbed(config, guild) {
+    const channel = id => (id ? `<#${id}>` : '*not set*');
+    return new EmbedBuilder()
+        .setColor(0x0066CC)
+        .setTitle(`⚙️ ${guild.name} Configuration`)
+        .addFields(
+            { name: '💰 **Sales Channels**', value: config.salesChannelIds.map(channel).join(' ') || '*none - sales are not tracked*' },
+            { name: '🏆 **Leaderboard Channel**', value: channel(config.leaderboardChannelId), inline: true },
+            { name: '🛠️ **Admin Channel**', value: channel(config.adminChannelId), inline: true },
+            { name: '🔑 **Admin Role**', value: config.adminRoleId ? `<@&${config.adminRoleId}>` : '*Administrators only*', inline: true },
+            { name: '📦 **Backup Channel**', value: channel(config.backupChannelId), inline: true },
+            { name: '🌍 **Timezone**', value: config.timezone, inline: true },
+            { name: '🏁 **Monthly Final**', value: `Ranked on ${config.monthlyFinalBasis || 'submitted'} AP`, inline: true },
+            { name: '🔁 **Duplicate Window**', value: getDuplicateWindowHours(config) ? `${getDuplicateWindowHours(config)}h - reposts are held for confirmation` : '*off*', inline: true },
+            { name: '📏 **Sale Bounds**', value: getSaleBounds(config) ? `$${getSaleBounds(config).min.toLocaleString('en-US')} - $${getSaleBounds(config).max.toLocaleString('en-US')} AP (outside asks to confirm)` : '*off*', inline: true },
+            { name: '⏰ **Scheduled Posts**', value: `${config.schedules.filter(schedule => !schedule.paused).length} active, ${config.schedules.filter(schedule => schedule.paused).length} paused - see \`!schedule\``, inline: true }
+        )
+        .setFooter({ text: `Data file: ${config.dataFile}` })
+        .setTimestamp();
+}
+
+// !config                              - show this server's settings
+// !config sales add|remove #channel
+// !config leaderboard #channel|none
+// !config adminchannel #channel|none
+// !config backups #channel|none        - daily backup file posted there
+// !config adminrole @role|none
+// !config timezone <zone>             - IANA name, e.g. America/New_York
+// !config monthlyfinal submitted|issued|paid - AP the month-end final ranks on
+// !config bounds <min> <max>|none|default   - AP range counted without a confirmation
+// !config duplicates <hours>|off|default    - window for holding likely reposts
+async function handleConfigCommand(message, args) {
+    if (!message.guild) return message.reply('❌ Run this in the server');
+
+    const action = (args[0] || 'show').toLowerCase();
+    const config = getGuildConfig();
+    const usage = 'Usage: `!config sales add|remove #channel`, `!config leaderboard #channel|none`, `!config adminchannel #channel|none`, `!config backups #channel|none`, `!config adminrole @role|none`, `!config timezone <zone>`, `!config monthlyfinal submitted|issued|paid`, `!config bounds <min> <max>|none|default`, `!config duplicates <hours>|off|default`';
+
+    if (action === 'show') {
+        return message.channel.send({ embeds: [generateConfigEmbed(config, message.guild)], allowedMentions: { parse: [] } });
+    }
+
+    const channel = message.mentions.channels.first();
+    const role = message.mentions.roles.first();
+    const clearing = (args[1] || '').toLowerCase() === 'none';
+    let change;
+
+    switch (action) {
+        case 'sales': {
+            const op = (args[1] || '').toLowerCase();
+            if (!channel || !['add', 'remove'].includes(op)) return message.reply(usage);
+            config.salesChannelIds = config.salesChannelIds.filter(id => id !== channel.id);
+            if (op === 'add') {
+                config.salesChannelIds.push(channel.id);
+            }
+            change = `sales ${op} <#${channel.id}>`;
+            break;
+        }
+        case 'leaderboard':
+        case 'adminchannel':
+        case 'backups': {
+            if (!channel && !clearing) return message.reply(usage);
+            const key = { leaderboard: 'leaderboardChannelId', adminchannel: 'adminChannelId', backups: 'backupChannelId' }[action];
+            config[key] = channel ? channel.id : null;
+            change = `${action} ${channel ? `<#${channel.id}>` : 'none'}`;
+            break;
+        }
+        case 'adminrole':
+            if (!role && !clearing) return message.reply(usage);
+            config.adminRoleId = role ? role.id : null;
+            change = `adminrole ${role ? role.name : 'none'}`;
+            break;
+        case 'timezone':
+        case 'tz':
+            if (!args[1] || !isValidTimezone(args[1])) {
+                return message.reply('⚠️ Unknown timezone - use an IANA name like `America/New_York` or `America/Los_Angeles`');
+            }
+            config.timezone = new Intl.DateTimeFormat('en-US', { timeZone: args[1] }).resolvedOptions().timeZone;
+            change = `timezone ${config.timezone}`;
+            // Posts without their own timezone follow the server's
+            startGuildSchedules(config.guildId);
+            break;
+        case 'bounds': {
+            // Posts outside min..max AP ask for a confirmation before they count
+            const value = (args[1] || '').toLowerCase();
+            if (value === 'none' || value === 'default') {
+                config.saleBounds = value === 'none' ? null : undefined;
+            } else {
+                const min = parseAmount(args[1]);
+                const max = parseAmount(args[2]);
+                if (!(min >= 0) || !(max > min)) return message.reply(usage);
+                config.saleBounds = { min, max };
+            }
+            const bounds = getSaleBounds(config);
+            change = `bounds ${bounds ? `$${bounds.min}-$${bounds.max}` : 'none'}`;
+            break;
+        }
+        case 'duplicates': {
+            // Hours a repeated agent + AP + product is held as a likely repost
+            const value = (args[1] || '').toLowerCase();
+            const hours = parseInt(value, 10);
+            if (value === 'off' || value === 'default') {
+                config.duplicateWindowHours = value === 'off' ? null : undefined;
+            } else if (hours > 0 && hours <= 24 * 31) {
+                config.duplicateWindowHours = hours;
+            } else {
+                return message.reply(usage);
+            }
+            const windowHours = getDuplicateWindowHours(config);
+            change = `duplicates ${windowHours ? `${windowHours}h` : 'off'}`;
+            break;
+        }
+        case 'monthlyfinal': {
+            const basis = (args[1] || '').toLowerCase();
+            if (basis !== 'submitted' && !STATUS_VIEWS[basis]) return message.reply(usage);
+            config.monthlyFinalBasis = basis;
+            change = `monthlyfinal ${basis}`;
+            break;
+        }
+        default:
+            return message.reply(usage);
+    }
+
+    config.name = message.guild.name;
+    guildConfigs[config.guildId] = config;
+    await saveGuildConfigs();
+    logAudit(message.author, 'config', { name: change });
+    await saveData();
+    await message.reply({ content: `⚙️ Configuration updated: ${change}`, allowedMentions: { parse: [] } });
+}
+
+function generateBackupsEmbed(lists) {
+    const embed = new EmbedBuilder()
+        .setColor(0x0066CC)
+        .setTitle('📦 Backups')
+        .setDescription(`Daily at 11:59 PM (server time) · keeping ${BACKUP_KEEP_DAYS} days + ${BACKUP_KEEP_MONTHS} month-end copies`)
+        .setTimestamp();
+    lists.forEach(({ name, entries, error }) => {
+        const target = backupTargets[name];
+        let value;
+        if (!target.available()) {
+            value = '*not configured*';
+        } else if (error) {
+            value = `⚠️ ${error}`;
+        } else {
+            value = entries.slice(0, 8).map(entry => {
+                const size = entry.size ? ` · ${Math.ceil(entry.size / 1024)} KB` : '';
+                return `\`${entry.id}\` · ${entry.at.toLocaleString('en-US', { timeZone: getTimezone(), month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}${size}`;
+            }).join('\n') || '*no backups yet*';
+        }
+        embed.addFields({ name: `${target.label} (\`${name}\`)`, value: value.slice(0, 1024) });
+    });
+    return embed.setFooter({ text: 'Restore: !backups restore <target> <id>' });
+}
+
+// !backups                                   - targets and the latest snapshots
+// !backups now                               - back up to every target now
+// !backups restore <target> <id> [confirm]   - replace the data with a snapshot
+async function handleBackupsCommand(message, args) {
+    const action = (args[0] || 'list').toLowerCase();
+    const name = path.basename(currentStore().file, '.json');
+    const targets = getConfiguredBackupTargets();
+
+    if (action === 'list') {
+        const lists = [];
+        for (const target of targets) {
+            if (!backupTargets[target].available()) {
+                lists.push({ name: target });
+                continue;
+            }
+            try {
+                lists.push({ name: target, entries: await backupTargets[target].list(name) });
+            } catch (error) {
+                lists.push({ name: target, error: error.message.slice(0, 200) });
+            }
+        }
+        return message.channel.send({ embeds: [generateBackupsEmbed(lists)] });
+    }
+
+    if (action === 'now') {
+        await message.reply('📦 Backing up...');
+        const results = await runBackup();
+        const lines = results.map(result => result.ok
+            ? `✅ ${result.target}: ${result.where}`
+            : `${result.skipped ? '➖' : '❌'} ${result.target}: ${result.error}`);
+        return message.reply(lines.join('\n'));
+    }
+
+    if (action === 'restore') {
+        const [, targetName, id, confirm] = args;
+        if (!targets.includes(targetName) || !id) {
+            return message.reply(`Usage: \`!backups restore <${targets.join('|')}> <id>\` - ids are listed by \`!backups\``);
+        }
+        if (!backupTargets[targetName].available()) {
+            return message.reply(`❌ The ${targetName} target isn't configured`);
+        }
+        if ((confirm || '').toLowerCase() !== 'confirm') {
+            return message.reply(`⚠️ This replaces all of this server's sales data with \`${id}\` from ${targetName} (the current data is kept in a pre-restore copy).\nRun \`!backups restore ${targetName} ${id} confirm\` to go ahead.`);
+        }
+        try {
+            const result = await restoreBackup(targetName, id, message.author);
+            return message.reply(`✅ Restored \`${id}\` from ${targetName} - ${result.sales} sale records. Previous data saved as \`${path.basename(result.safetyCopy)}\`.\nRun \`!catchup\` to record anything posted since that backup.`);
+        } catch (error) {
+            console.error('❌ Restore failed:', error);
+            return message.reply(`❌ Restore failed - nothing was changed: ${error.message}`);
+        }
+    }
+
+    return message.reply('Usage: `!backups`, `!backups now`, `!backups restore <target> <id>`');
+}
+
+// ========================================
+// SCHEDULED POSTS
+// ========================================
+// Every server keeps its posts in its config (guilds.json) as
+// { id, type, period, cron, channelId, timezone, paused }. Each one is a
+// node-cron task running in the schedule's (or the server's) timezone, so
+// the wall-clock time stays the same across DST changes.
+const scheduledTasks = new Map();
+
+const FINAL_POSTS = {
+    'daily': { heading: '📅 **DAILY FINAL RANKINGS**', title: '💵 DAILY CHAMPIONS - COMPLETE DAY', teams: '🏢 DAILY TEAM CHAMPIONS', color: 0x00AAFF },
+    'weekly': { heading: '🏆 **WEEKLY FINAL RANKINGS**', title: '💵 WEEKLY CHAMPIONS - COMPLETE WEEK', teams: '🏢 WEEKLY TEAM CHAMPIONS', color: 0xFF6B6B },
+    'monthly': { heading: '🎊 **MONTHLY FINAL RANKINGS - CONGRATULATIONS!** 🎊', title: '💵 MONTHLY CHAMPIONS - COMPLETE MONTH', teams: '🏢 MONTHLY TEAM CHAMPIONS', color: 0xFFD700 }
+};
+
+// Agents beating their best day, or their biggest single policy, today
+function findPersonalRecords(todaySales) {
+    const today = getPeriodKeys(getLocalTimestamp()).day;
+    const money = value => `$${value.toLocaleString('en-US', {minimumFractionDigits: 2})}`;
+    const records = [];
+
+    Object.entries(salesData.daily).forEach(([userId, entry]) => {
+        const previousBest = Object.entries(salesData.archive.daily)
+            .filter(([key]) => key < today)
+            .reduce((best, [, bucket]) => Math.max(best, bucket[userId] ? bucket[userId].total : 0), 0);
+        if (previousBest > 0 && entry.total > previousBest) {
+            records.push(`📈 **${entry.username}** - best day ever: ${money(entry.total)} (previous ${money(previousBest)})`);
+        }
+    });
+
+    const biggestToday = {};
+    todaySales.forEach(sale => {
+        if (!biggestToday[sale.userId] || sale.amount > biggestToday[sale.userId].amount) {
+            biggestToday[sale.userId] = sale;
+        }
+    });
+    Object.values(biggestToday).forEach(sale => {
+        const previousBiggest = getLedgerSales()
+            .filter(other => other.userId === sale.userId && getSaleLocalTimestamp(other).slice(0, 10) < today)
+            .reduce((max, other) => Math.max(max, other.amount), 0);
+        if (previousBiggest > 0 && sale.amount > previousBiggest) {
+            records.push(`💎 **${sale.username}** - biggest policy ever: ${money(sale.amount)} ${sale.policyType} (previous ${money(previousBiggest)})`);
+        }
+    });
+
+    return records;
+}
+
+// Team total so far this week/month, with the team goal or the pace
+function formatPeriodProgress(period) {
+    const entries = Object.values(salesData[period]);
+    const total = entries.reduce((sum, entry) => sum + entry.total, 0);
+    const count = entries.reduce((sum, entry) => sum + entry.count, 0);
+    const goal = getTeamGoal(period);
+    const progress = goal > 0
+        ? formatGoalProgress(total, goal, period)
+        : `📈 On pace for $${Math.round(getPace(total, period)).toLocaleString('en-US')}`;
+    return `💵 **$${total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP** · ${count} policies · ${entries.length} agents\n${progress}`;
+}
+
+// End-of-day recap: top sale, personal records, week/month to date
+function generateDailyRecapEmbed() {
+    const todaySales = getCurrentPeriodSales('daily');
+    const topSale = todaySales.reduce((top, sale) => (!top || sale.amount > top.amount ? sale : top), null);
+    const records = findPersonalRecords(todaySales);
+
+    return new EmbedBuilder()
+        .setColor(0x9B59B6)
+        .setTitle('🌙 DAILY RECAP')
+        .addFields(
+            {
+                name: '🎯 **TOP SALE OF THE DAY**',
+                value: topSale
+                    ? `👤 **${topSale.username}**\n💵 **$${topSale.amount.toLocaleString('en-US', {minimumFractionDigits: 2})} AP** - ${topSale.policyType}`
+                    : 'No sales today'
+            },
+            {
+                name: '🏅 **NEW PERSONAL RECORDS**',
+                value: records.join('\n').slice(0, 1024) || 'No new records today'
+            },
+            { name: '📊 **WEEK TO DATE**', value: formatPeriodProgress('weekly'), inline: true },
+            { name: '🏆 **MONTH TO DATE**', value: formatPeriodProgress('monthly'), inline: true }
+        )
+        .setTimestamp()
+        .setFooter({ text: '💼 BIG - Daily Final' });
+}
+
+// What each schedule type posts - returns false when it had nothing to post
+const SCHEDULE_TYPES = {
+    'leaderboard': {
+        name: 'Leaderboard',
+        run: async (channel, period) => {
+            await channel.send({ embeds: [generateAPLeaderboard(period)] });
+            if (Object.keys(salesData.teams).length > 0) {
+                await channel.send({ embeds: [generateTeamLeaderboard(salesData[period], `🏢 ${period.toUpperCase()} TEAM STANDINGS`)] });
+            }
+        }
+    },
+    'final': {
+        name: 'Final rankings',
+        run: async (channel, period) => {
+            const p = getLocalParts();
+            if (period === 'monthly' && !shiftDayKey(`${p.year}-${p.month}-${p.day}`, 1).endsWith('-01')) {
+                return false;
+            }
+            const post = FINAL_POSTS[period];
+            let dataCopy = JSON.parse(JSON.stringify(salesData[period]));
+            let title = post.title;
+
+            // !config monthlyfinal issued|paid - the month is won on issued AP
+            const basis = getGuildConfig().monthlyFinalBasis || 'submitted';
+            if (period === 'monthly' && STATUS_VIEWS[basis]) {
+                dataCopy = aggregateSales(getStatusSales(getCurrentPeriodSales('monthly'), basis));
+                title = `${post.title} (${basis.toUpperCase()} AP)`;
+            }
+
+            await channel.send(post.heading);
+
+            const apEmbed = generateAPLeaderboardFromData(dataCopy, title);
+            apEmbed.setColor(post.color);
+            await channel.send({ embeds: [apEmbed] });
+            if (Object.keys(salesData.teams).length > 0) {
+                await channel.send({ embeds: [generateTeamLeaderboard(dataCopy, post.teams)] });
+            }
+
+            await channel.send('━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        }
+    },
+    'recap': {
+        name: 'Daily recap',
+        run: async (channel, period) => {
+            const dataCopy = JSON.parse(JSON.stringify(salesData[period]));
+
+            await channel.send(FINAL_POSTS[period].heading);
+            const apEmbed = generateAPLeaderboardFromData(dataCopy, FINAL_POSTS[period].title);
+            apEmbed.setColor(FINAL_POSTS[period].color);
+            await channel.send({ embeds: [apEmbed, generateDailyRecapEmbed()] });
+            await channel.send('━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+            if (process.env.GITHUB_TOKEN && getConfiguredBackupTargets().includes('github')) {
+                console.log('⏰ Daily final GitHub sync triggered');
+                await syncToGitHub();
+            }
+        }
+    }
+};
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SCHEDULE_DAYS = {
+    'everyday': '*',
+    'weekdays': '1-5',
+    'weekends': '0,6'
+};
+
+// "9am" / "10:55pm" / "22:55" -> { hour, minute }
+function parseClockTime(text) {
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/i);
+    if (!match) return null;
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (match[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+    }
+    return hour <= 23 && minute <= 59 ? { hour, minute } : null;
+}
+
+// "9am,12pm,3pm" / "10:55pm sun" / "8:30am weekdays" / "55 22 * * 0" -> cron
+// expression (null when it can't be read). Several times share one minute.
+function parseScheduleWhen(text) {
+    const words = text.trim().split(/\s+/);
+    if (words.length === 5) {
+        return cron.validate(words.join(' ')) ? words.join(' ') : null;
+    }
+    if (words.length > 2) return null;
+
+    const times = words[0].split(',').filter(Boolean).map(parseClockTime);
+    if (times.length === 0 || times.some(time => !time) || new Set(times.map(time => time.minute)).size > 1) {
+        return null;
+    }
+
+    let days = '*';
+    if (words[1]) {
+        const dayWord = words[1].toLowerCase();
+        if (SCHEDULE_DAYS[dayWord]) {
+            days = SCHEDULE_DAYS[dayWord];
+        } else {
+            const numbers = dayWord.split(',').map(day => WEEKDAY_NAMES.indexOf(day.slice(0, 3)));
+            if (numbers.some(number => number < 0)) return null;
+            days = numbers.join(',');
+        }
+    }
+    return `${times[0].minute} ${times.map(time => time.hour).join(',')} * * ${days}`;
+}
+
+// "55 22 * * 0" -> "10:55pm on Sun" (the raw expression when it isn't that simple)
+function describeCron(expression) {
+    const match = expression.match(/^(\d+) ([\d,]+) \* \* (\S+)$/);
+    if (!match) return `\`${expression}\``;
+    const minute = match[1].padStart(2, '0');
+    const times = match[2].split(',').map(Number)
+        .map(hour => `${hour % 12 || 12}:${minute}${hour < 12 ? 'am' : 'pm'}`)
+        .join(', ');
+    const named = Object.entries(SCHEDULE_DAYS).find(([, days]) => days === match[3]);
+    if (named) return `${times} ${named[0]}`;
+    const days = match[3].split(',').map(day => WEEKDAY_NAMES[Number(day)]);
+    if (days.some(day => !day)) return `\`${expression}\``;
+    return `${times} on ${days.map(day => day[0].toUpperCase() + day.slice(1)).join(', ')}`;
+}
+
+function getScheduleTimezone(schedule, config) {
+    return schedule.timezone || config.timezone || DEFAULT_TIMEZONE;
+}
+
+// Post one schedule now - false when there was no channel or nothing to post
+function runSchedule(guildId, scheduleId) {
+    return runInGuild(guildId, async () => {
+        const config = getGuildConfig();
+        const schedule = config.schedules.find(entry => entry.id === scheduleId);
+        if (!schedule) return false;
+
+        const channelId = schedule.channelId || config.leaderboardChannelId;
+        const channel = channelId && client.channels.cache.get(channelId);
+        if (!channel) {
+            console.log(`⚠️ Schedule #${schedule.id} in ${config.name || guildId} has no channel, skipping`);
+            return false;
+        }
+
+        checkResets();
+        if (await SCHEDULE_TYPES[schedule.type].run(channel, schedule.period) === false) {
+            return false;
+        }
+        console.log(`📊 ${SCHEDULE_TYPES[schedule.type].name} (${schedule.period}) posted in ${config.name || guildId} - schedule #${schedule.id}`);
+        return true;
+    });
+}
+
+function startSchedule(guildId, schedule) {
+    const key = `${guildId}:${schedule.id}`;
+    if (scheduledTasks.has(key)) {
+        scheduledTasks.get(key).destroy();
+        scheduledTasks.delete(key);
+    }
+    if (schedule.paused) return;
+
+    const task = cron.schedule(schedule.cron, async () => {
+        try {
+            await runSchedule(guildId, schedule.id);
+        } catch (error) {
+            console.error(`❌ Error running schedule #${schedule.id}:`, error);
+        }
+    }, { timezone: getScheduleTimezone(schedule, getGuildConfig(guildId)), name: key });
+    scheduledTasks.set(key, task);
+}
+
+// (Re)create every task of a server - after its schedules or timezone change
+function startGuildSchedules(guildId) {
+    [...scheduledTasks.keys()]
+        .filter(key => key.startsWith(`${guildId}:`))
+        .forEach(key => {
+            scheduledTasks.get(key).destroy();
+            scheduledTasks.delete(key);
+        });
+    (guildConfigs[guildId] ? guildConfigs[guildId].schedules : []).forEach(schedule => startSchedule(guildId, schedule));
+}
+
+function startAllSchedules() {
+    Object.keys(guildConfigs).forEach(startGuildSchedules);
+    console.log(`⏰ ${scheduledTasks.size} scheduled posts started`);
+}
+
+// Words of !schedule add/edit -> { type, period, when, timezone }. Type and
+// period words can go anywhere, "tz <zone>" sets the timezone and the rest is
+// the time ("9am,3pm weekdays" or a cron expression).
+function parseScheduleArgs(words) {
+    const options = {};
+    const rest = [];
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i].toLowerCase();
+        if (SCHEDULE_TYPES[word]) {
+            options.type = word;
+        } else if (PERIOD_ALIASES[word] && !options.period) {
+            options.period = PERIOD_ALIASES[word];
+        } else if (word === 'tz' || word === 'timezone') {
+            options.timezone = words[++i] || '';
+        } else if (!/^<#\d+>$/.test(word)) {
+            rest.push(words[i]);
+        }
+    }
+    if (rest.length > 0) {
+        options.when = rest.join(' ');
+    }
+    return options;
+}
+
+function formatScheduleLine(schedule, config) {
+    const task = scheduledTasks.get(`${config.guildId}:${schedule.id}`);
+    const next = task && task.getNextRun();
+    const timezone = getScheduleTimezone(schedule, config);
+    const nextText = next
+        ? ` · next ${next.toLocaleString('en-US', { timeZone: timezone, weekday: 'short', month: '2-digit', day: '2-digit', hour: 'numeric', minute: '2-digit' })}`
+        : '';
+    const lastDay = schedule.type === 'final' && schedule.period === 'monthly' ? ' (last day of the month)' : '';
+    const channel = schedule.channelId || config.leaderboardChannelId;
+    return `${schedule.paused ? '⏸️' : '▶️'} **#${schedule.id}** ${SCHEDULE_TYPES[schedule.type].name} (${schedule.period}) - ${describeCron(schedule.cron)}${lastDay} · ${timezone}\n` +
+        `↳ ${channel ? `<#${channel}>` : '*no channel*'}${schedule.paused ? ' · paused' : nextText}`;
+}
+
+// !schedule                                   - list this server's posts
+// !schedule add <leaderboard|final|recap> <period> <when> [#channel] [tz <zone>]
+// !schedule edit <id> [type] [period] [when] [#channel] [tz <zone>|tz default]
+// !schedule pause|resume|remove|run <id>
+// <when> is "9am,12pm,3pm", "10:55pm sun", "8:30am weekdays" or a cron expression
+async function handleScheduleCommand(message, args) {
+    const action = (args[0] || 'list').toLowerCase();
+    const config = getGuildConfig();
+    const usage = 'Usage: `!schedule add <leaderboard|final|recap> <daily|weekly|monthly> <when> [#channel] [tz <zone>]`, `!schedule edit <id> [type] [period] [when] [#channel] [tz <zone>]`, `!schedule pause|resume|remove|run <id>` - <when> is `9am,3pm`, `10:55pm sun`, `8:30am weekdays` or a cron expression';
+
+    if (!message.guild) return message.reply('❌ Run this in the server');
+
+    if (action === 'list') {
+        const lines = config.schedules.map(schedule => formatScheduleLine(schedule, config));
+        return message.reply({
+            content: `⏰ **Scheduled posts** (${config.timezone})\n${lines.join('\n') || '*none - add one with `!schedule add`*'}`,
+            allowedMentions: { parse: [] }
+        });
+    }
+
+    if (action === 'add' || action === 'edit') {
+        const existing = action === 'edit' ? config.schedules.find(entry => entry.id === parseInt(args[1], 10)) : null;
+        if (action === 'edit' && !existing) {
+            return message.reply(args[1] ? `⚠️ No schedule #${args[1]} - see \`!schedule\`` : usage);
+        }
+
+        const options = parseScheduleArgs(args.slice(action === 'edit' ? 2 : 1));
+        const channel = message.mentions.channels.first();
+        const schedule = existing
+            ? { ...existing }
+            : { id: config.schedules.reduce((max, entry) => Math.max(max, entry.id), 0) + 1, channelId: null, timezone: null, paused: false };
+
+        if (options.type) schedule.type = options.type;
+        if (options.period) schedule.period = options.period;
+        if (channel) schedule.channelId = channel.id;
+        if (options.when !== undefined) {
+            schedule.cron = parseScheduleWhen(options.when);
+            if (!schedule.cron) {
+                return message.reply(`⚠️ Couldn't read the time \`${options.when}\` - use \`9am,3pm\`, \`10:55pm sun\`, \`8:30am weekdays\` or a cron expression`);
+            }
+        }
+        if (options.timezone !== undefined) {
+            if (options.timezone.toLowerCase() === 'default') {
+                schedule.timezone = null;
+            } else if (isValidTimezone(options.timezone)) {
+                schedule.timezone = new Intl.DateTimeFormat('en-US', { timeZone: options.timezone }).resolvedOptions().timeZone;
+            } else {
+                return message.reply('⚠️ Unknown timezone - use an IANA name like `America/New_York` (or `default` for the server\'s)');
+            }
+        }
+        if (!schedule.type || !schedule.period || !schedule.cron) {
+            return message.reply(usage);
+        }
+
+        if (existing) {
+            Object.assign(existing, schedule);
+        } else {
+            config.schedules.push(schedule);
+        }
+        startSchedule(config.guildId, schedule);
+        await saveGuildConfigs();
+        logAudit(message.author, `schedule-${action}`, { kind: 'schedule', name: `#${schedule.id}` });
+        await saveData();
+        return message.reply({ content: `⏰ Schedule ${action === 'add' ? 'added' : 'updated'}:\n${formatScheduleLine(schedule, config)}`, allowedMentions: { parse: [] } });
+    }
+
+    const schedule = config.schedules.find(entry => entry.id === parseInt(args[1], 10));
+    if (!schedule) {
+        return message.reply(args[1] ? `⚠️ No schedule #${args[1]} - see \`!schedule\`` : usage);
+    }
+
+    switch (action) {
+        case 'pause':
+        case 'resume':
+            schedule.paused = action === 'pause';
+            startSchedule(config.guildId, schedule);
+            break;
+        case 'remove':
+            schedule.paused = true;
+            startSchedule(config.guildId, schedule);
+            config.schedules = config.schedules.filter(entry => entry !== schedule);
+            break;
+        case 'run':
+            return message.reply(await runSchedule(config.guildId, schedule.id)
+                ? `▶️ Schedule #${schedule.id} posted`
+                : `⚠️ Schedule #${schedule.id} posted nothing - check its channel (month finals only post on the last day of the month)`);
+        default:
+            return message.reply(usage);
+    }
+
+    await saveGuildConfigs();
+    logAudit(message.author, `schedule-${action}`, { kind: 'schedule', name: `#${schedule.id}` });
+    await saveData();
+    await message.reply(`⏰ Schedule #${schedule.id} ${action === 'remove' ? 'removed' : action === 'pause' ? 'paused' : 'resumed'}`);
+}
+
+// ========================================
+// CARRIER / PRODUCT BREAKDOWNS
+// ========================================
+const PERIOD_ALIASES = {
+    'daily': 'daily',
+    'day': 'daily',
+    'today': 'daily',
+    'weekly': 'weekly',
+    'week': 'weekly',
+    'monthly': 'monthly',
+    'month': 'monthly'
+};
+
+const PERIOD_KEY_TYPES = {
+    'daily': 'day',
+    'weekly': 'week',
+    'monthly': 'month'
+};
+
+// Ledger sales in the current daily/weekly/monthly period (everything for allTime)
+function getCurrentPeriodSales(period) {
+    if (!PERIOD_KEY_TYPES[period]) {
+        return getLedgerSales();
+    }
+    const keyType = PERIOD_KEY_TYPES[period];
+    return getLedgerSales(keyType, getPeriodKeys(getLocalTimestamp())[keyType]);
+}
+
+// Group sales by 'carrier' or 'product': [{ name, total, count, agents: { userId: { username, total } } }]
+function summarizeSalesBy(sales, field) {
+    const groups = {};
+    sales.forEach(sale => {
+        const name = sale[field] || 'Other';
+        if (!groups[name]) {
+            groups[name] = { name, total: 0, count: 0, agents: {} };
+        }
+        const group = groups[name];
+        group.total += sale.amount;
+        group.count += getSaleShare(sale);
+        if (!group.agents[sale.userId]) {
+            group.agents[sale.userId] = { username: sale.username, total: 0 };
+        }
+        group.agents[sale.userId].total += sale.amount;
+    });
+    return Object.values(groups).sort((a, b) => b.total - a.total);
+}
+
+// "**IUL** - $12,400.00 (8)" lines for a summary
+function formatMixLines(summary, limit = 8) {
+    return summary.slice(0, limit)
+        .map(group => `**${group.name}** - $${group.total.toLocaleString('en-US', {minimumFractionDigits: 2})} (${group.count})`)
+        .join('\n');
+}
+
+// Carrier or product mix for a period, with the top agent in each line
+function generateBreakdownEmbed(sales, field, title) {
+    const summary = summarizeSalesBy(sales, field);
+    const totalAP = summary.reduce((sum, group) => sum + group.total, 0);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x9B59B6)
+        .setTitle(title)
+        .setDescription(`💰 **AP by ${field}**\n━━━━━━━━━━━━━━━━━━━━━`)
+        .setTimestamp()
+        .setFooter({ text: '💼 BIG - Annual Premium Rankings' });
+
+    if (summary.length === 0) {
+        embed.addFields({
+            name: '📝 No Records',
+            value: 'No sales recorded for this period'
+        });
+        return embed;
+    }
+
+    summary.slice(0, 15).forEach(group => {
+        const [, top] = Object.entries(group.agents).sort(([,a], [,b]) => b.total - a.total)[0];
+        const share = totalAP > 0 ? (group.total / totalAP) * 100 : 0;
+        embed.addFields({
+            name: `${group.name}`,
+            value: `💵 **$${group.total.toLocaleString('en-US', {minimumFractionDigits: 2})}** (${share.toFixed(1)}%)\n📊 ${group.count} policies\n👑 ${top.username}`,
+            inline: true
+        });
+    });
+
+    return embed;
+}
+
+// !leaderboard [daily|weekly|monthly|yesterday|lastweek|lastmonth|<period key>]
+//              [by carrier|product] [carrier|product <name>]
+async function handleLeaderboardCommand(message, args) {
+    const words = args.map(arg => arg.toLowerCase());
+    let period = 'daily';
+    let key = null;
+
+    const archived = parseArchiveKey(words);
+    if (archived) {
+        ({ period, key } = archived);
+        const consumed = PERIOD_ALIASES[words[0]] && words[1] ? 2 : 1;
+        words.splice(0, consumed);
+        args = args.slice(consumed);
+    } else if (words.length > 0 && PERIOD_ALIASES[words[0]]) {
+        period = PERIOD_ALIASES[words.shift()];
+        args = args.slice(1);
+    }
+
+    const usage = 'Usage: `!leaderboard [daily|weekly|monthly|yesterday|2025-10|2025-W44|2025-11-14] [issued|paid] [teams|team <name>|by carrier|by product|carrier <name>|product <name>]`';
+
+    // "issued" / "paid" ranks only the policies that got that far
+    const basisIndex = words.findIndex(word => STATUS_VIEWS[word]);
+    const basis = basisIndex === -1 ? null : words[basisIndex];
+    if (basis) {
+        words.splice(basisIndex, 1);
+        args = args.filter((arg, i) => i !== basisIndex);
+    }
+
+    checkResets();
+    let periodName = key ? `${period.toUpperCase()} ${describePeriodKey(period, key).toUpperCase()}` : period.toUpperCase();
+
+    if (words.length === 0 && !basis) {
+        if (!key) {
+            return message.channel.send({ embeds: [generateAPLeaderboard(period)] });
+        }
+        const embed = generateAPLeaderboardFromData(getPeriodData(period, key), `📜 ${periodName} LEADERBOARD`);
+        return message.channel.send({ embeds: [embed] });
+    }
+
+    let sales = key ? getLedgerSales(PERIOD_KEY_TYPES[period], key) : getCurrentPeriodSales(period);
+    let bucket = key ? getPeriodData(period, key) : salesData[period];
+    if (basis) {
+        sales = getStatusSales(sales, basis);
+        bucket = aggregateSales(sales);
+        periodName = `${periodName} ${basis.toUpperCase()}`;
+    }
+
+    if (words.length === 0) {
+        return message.channel.send({ embeds: [generateAPLeaderboardFromData(bucket, `💵 ${periodName} LEADERBOARD`)] });
+    }
+
+    // Team-vs-team: "teams" / "by team"
+    if (words[0] === 'teams' || (words[0] === 'by' && words[1] === 'team')) {
+        return message.channel.send({ embeds: [generateTeamLeaderboard(bucket, `🏢 ${periodName} TEAM STANDINGS`)] });
+    }
+
+    // One team's agents: "team West Coast"
+    if (words[0] === 'team' && args.length > 1) {
+        const team = findTeam(args.slice(1).join(' '));
+        if (!team) {
+            return message.reply(`⚠️ Unknown team **${args.slice(1).join(' ')}** - see \`!teams\``);
+        }
+        const embed = generateAPLeaderboardFromData(filterBucketByTeam(bucket, team.id), `💵 ${periodName} LEADERBOARD - ${team.name.toUpperCase()}`);
+        return message.channel.send({ embeds: [embed] });
+    }
+
+    // Breakdown mode: "by carrier" / "by product"
+    if (words[0] === 'by' && ['carrier', 'product'].includes(words[1])) {
+        const embed = generateBreakdownEmbed(sales, words[1], `📊 ${periodName} ${words[1].toUpperCase()} MIX`);
+        return message.channel.send({ embeds: [embed] });
+    }
+
+    // Filtered ranking: "carrier Americo" / "product IUL"
+    if (['carrier', 'product'].includes(words[0]) && args.length > 1) {
+        const field = words[0];
+        const entry = matchCatalogEntry(field === 'carrier' ? catalog.carriers : catalog.products, args.slice(1).join(' '));
+        if (!entry) {
+            return message.reply(`⚠️ Unknown ${field} **${args.slice(1).join(' ')}** - see \`!catalog\``);
+        }
+        const filtered = sales.filter(sale => sale[field] === entry.name);
+        const embed = generateAPLeaderboardFromData(aggregateSales(filtered), `💵 ${periodName} LEADERBOARD - ${entry.name.toUpperCase()}`);
+        return message.channel.send({ embeds: [embed] });
+    }
+
+    return message.reply(usage);
+}
+
+// ========================================
+// CSV EXPORT
+// ========================================
+// Ledger sales for a period or date range as CSV - a row per sale and a row
+// per agent - so AP can be reconciled against carrier statements in a
+// spreadsheet. !export attaches both files; GET /export.csv serves one.
+const EXPORT_FILTERS = ['agent', 'team', 'carrier'];
+
+// "month", "lastweek", "2025-10", "2025-W44", "2025-11-14", "all" or
+// "2025-10-01..2025-10-31" -> { label, matches(sale) }
+function parseExportRange(text) {
+    const value = (text || 'month').toLowerCase();
+    const range = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(value);
+    if (range) {
+        const [from, to] = [range[1], range[2]].sort();
+        return {
+            label: `${from}_to_${to}`,
+            matches: sale => {
+                const day = getSaleLocalTimestamp(sale).slice(0, 10);
+                return day >= from && day <= to;
+            }
+        };
+    }
+    if (value === 'all' || value === 'alltime') {
+        return { label: 'all-time', matches: () => true };
+    }
+
+    let period = PERIOD_ALIASES[value];
+    let key = period && getPeriodKeys(getLocalTimestamp())[PERIOD_KEY_TYPES[period]];
+    if (!period) {
+        const archived = parseArchiveKey([value]);
+        if (!archived) return null;
+        ({ period, key } = archived);
+    }
+    const keyType = PERIOD_KEY_TYPES[period];
+    return { label: key, matches: sale => getSalePeriodKeys(sale)[keyType] === key };
+}
+
+// "agent @member team West Coast carrier Americo" -> { agent, team, carrier } (null if malformed)
+function parseExportFilters(words) {
+    const filters = {};
+    let current = null;
+    for (const word of words) {
+        if (EXPORT_FILTERS.includes(word.toLowerCase())) {
+            current = word.toLowerCase();
+            filters[current] = '';
+        } else if (current) {
+            filters[current] = `${filters[current]} ${word}`.trim();
+        } else {
+            return null;
+        }
+    }
+    return Object.values(filters).every(Boolean) ? filters : null;
+}
+
+// Ledger sales in the range that pass the filters - { sales } or { error }
+function selectExportSales(range, filters, base = getLedgerSales()) {
+    let sales = base.filter(range.matches);
+    if (filters.agent) {
+        const wanted = filters.agent.replace(/^<@!?(\d+)>$/, '$1').toLowerCase();
+        sales = sales.filter(sale => sale.userId === wanted || (sale.username || '').toLowerCase() === wanted);
+    }
+    if (filters.team) {
+        const team = findTeam(filters.team);
+        if (!team) return { error: `Unknown team **${filters.team}** - see \`!teams\`` };
+        sales = sales.filter(sale => getTeamForUser(sale.userId) === team.id);
+    }
+    if (filters.carrier) {
+        const entry = matchCatalogEntry(catalog.carriers, filters.carrier);
+        if (!entry) return { error: `Unknown carrier **${filters.carrier}** - see \`!catalog\`` };
+        sales = sales.filter(sale => sale.carrier === entry.name);
+    }
+    return { sales: sales.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id - b.id) };
+}
+
+// Discord ids as ="..." so spreadsheets keep all 18+ digits
+const csvId = id => (/^\d+$/.test(id || '') ? { formula: `="${id}"` } : id || '');
+
+// UTF-8 BOM and CRLF so Excel opens it with the right encoding and rows
+function toCsv(rows) {
+    const cell = value => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+        let text = value.formula || String(value);
+        // Text from Discord starting with = + - @ would run as a formula
+        if (!value.formula && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\uFEFF' + rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+function getTeamName(userId) {
+    const teamId = getTeamForUser(userId);
+    return teamId ? salesData.teams[teamId].name : '';
+}
+
+function buildSalesCsv(sales) {
+    const rows = [['Sale ID', 'Date', 'Time', 'Agent', 'Agent ID', 'Team', 'Carrier', 'Product', 'Policy', 'AP', 'Share', 'Policy AP', 'Split With', 'Status', 'Source', 'Message ID']];
+    sales.forEach(sale => {
+        const localTimestamp = getSaleLocalTimestamp(sale);
+        rows.push([
+            sale.id,
+            localTimestamp.slice(0, 10),
+            localTimestamp.slice(11, 16),
+            sale.username,
+            csvId(sale.userId),
+            getTeamName(sale.userId),
+            sale.carrier,
+            sale.product,
+            sale.policyType,
+            sale.amount,
+            getSaleShare(sale),
+            sale.split ? sale.split.total : sale.amount,
+            sale.split ? sale.split.agents.filter(agent => agent.userId !== sale.userId).map(agent => agent.username).join('; ') : '',
+            SALE_STATUSES[sale.status].label,
+            sale.source,
+            csvId(sale.messageId)
+        ]);
+    });
+    return toCsv(rows);
+}
+
+function buildSummaryCsv(sales) {
+    const rows = [['Rank', 'Agent', 'Agent ID', 'Team', 'Policies', 'AP', 'Average AP', 'Top Carrier']];
+    const agents = Object.entries(aggregateSales(sales)).sort(([, a], [, b]) => b.total - a.total);
+    agents.forEach(([userId, agent], index) => {
+        const [topCarrier] = summarizeSalesBy(sales.filter(sale => sale.userId === userId), 'carrier');
+        rows.push([
+            index + 1,
+            agent.username,
+            csvId(userId),
+            getTeamName(userId),
+            agent.count,
+            Math.round(agent.total * 100) / 100,
+            Math.round((agent.total / agent.count) * 100) / 100,
+            topCarrier ? topCarrier.name : ''
+        ]);
+    });
+    const total = sales.reduce((sum, sale) => sum + sale.amount, 0);
+    const policies = Math.round(sales.reduce((sum, sale) => sum + getSaleShare(sale), 0) * 100) / 100;
+    rows.push(['', 'TOTAL', '', '', policies, Math.round(total * 100) / 100, policies ? Math.round((total / policies) * 100) / 100 : 0, '']);
+    return toCsv(rows);
+}
+
+// File name base, e.g. "sales-2025-10-team-west-coast"
+function getExportName(range, filters) {
+    const parts = ['sales', range.label, ...EXPORT_FILTERS.filter(name => filters[name]).map(name => `${name}-${filters[name]}`)];
+    return parts.join('-').toLowerCase().replace(/<@!?(\d+)>/g, '$1').replace(/[^a-z0-9_-]+/g, '-').replace(/-+/g, '-');
+}
+
+// !export [month|week|today|lastmonth|2025-10|2025-W44|2025-11-14|2025-10-01..2025-10-31|all]
+//         [agent @member|name] [team <name>] [carrier <name>]
+async function handleExportCommand(message, args) {
+    const usage = 'Usage: `!export [month|lastmonth|2025-10|2025-W44|2025-11-14|2025-10-01..2025-10-31|all] [agent @member] [team <name>] [carrier <name>]`';
+    // "2025-10-01 2025-10-31" works as a range too
+    if (/^\d{4}-\d{2}-\d{2}$/.test(args[0] || '') && /^\d{4}-\d{2}-\d{2}$/.test(args[1] || '')) {
+        args = [`${args[0]}..${args[1]}`, ...args.slice(2)];
+    }
+    const hasRange = args.length > 0 && !EXPORT_FILTERS.includes(args[0].toLowerCase());
+    const range = parseExportRange(hasRange ? args[0] : 'month');
+    const filters = parseExportFilters(args.slice(hasRange ? 1 : 0));
+    if (!range || !filters) {
+        return message.reply(usage);
+    }
+
+    checkResets();
+    const { sales, error } = selectExportSales(range, filters);
+    if (error) {
+        return message.reply(`⚠️ ${error}`);
+    }
+
+    const name = getExportName(range, filters);
+    const total = sales.reduce((sum, sale) => sum + sale.amount, 0);
+    await message.channel.send({
+        content: `📤 **Export ${range.label}** - ${sales.length} sales · $${total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP`,
+        files: [
+            { attachment: Buffer.from(buildSalesCsv(sales), 'utf8'), name: `${name}.csv` },
+            { attachment: Buffer.from(buildSummaryCsv(sales), 'utf8'), name: `${name}-by-agent.csv` }
+        ]
+    });
+}
+
+// ========================================
+// RECOMPUTE AGGREGATES
+// ========================================
+// Rebuilds daily/weekly/monthly/allTime (and the archive) from the ledger, or
+// from the sales channel history, shows the difference against the stored
+// numbers and only writes it after an admin confirms. Totals that predate
+// the ledger are kept as opening balances so they are not lost on a rebuild.
+
+// Pending rebuilds waiting for !recompute confirm, per guild
+const pendingRecomputes = new Map();
+const RECOMPUTE_CONFIRM_MS = 5 * 60 * 1000;
+
+// Per-agent totals without policy details - what opening balances and diffs use
+function summarizeBucket(bucket) {
+    const summary = {};
+    Object.entries(bucket || {}).forEach(([userId, entry]) => {
+        summary[userId] = {
+            username: entry.username,
+            total: entry.total,
+            count: entry.count,
+            policies: { ...(entry.policies || {}) }
+        };
+    });
+    return summary;
+}
+
+// a - b, per agent (entries that end up at zero are dropped)
+function subtractBuckets(a, b) {
+    const result = summarizeBucket(a);
+    Object.entries(b || {}).forEach(([userId, entry]) => {
+        if (!result[userId]) {
+            result[userId] = { username: entry.username, total: 0, count: 0, policies: {} };
+        }
+        result[userId].total = Math.round((result[userId].total - entry.total) * 100) / 100;
+        result[userId].count -= entry.count;
+        Object.entries(entry.policies || {}).forEach(([type, count]) => {
+            result[userId].policies[type] = (result[userId].policies[type] || 0) - count;
+            if (result[userId].policies[type] <= 0) delete result[userId].policies[type];
+        });
+        if (Math.abs(result[userId].total) < 0.01 && result[userId].count === 0) {
+            delete result[userId];
+        }
+    });
+    return result;
+}
+
+// a + b, per agent - keeps a's policy details
+function addBuckets(a, b) {
+    const result = JSON.parse(JSON.stringify(a || {}));
+    Object.entries(b || {}).forEach(([userId, entry]) => {
+        if (!result[userId]) {
+            result[userId] = { username: entry.username, total: 0, count: 0, policies: {} };
+        }
+        result[userId].total = Math.round((result[userId].total + entry.total) * 100) / 100;
+        result[userId].count += entry.count;
+        if (!result[userId].policies) result[userId].policies = {};
+        Object.entries(entry.policies || {}).forEach(([type, count]) => {
+            result[userId].policies[type] = (result[userId].policies[type] || 0) + count;
+        });
+    });
+    return result;
+}
+
+// Remember what the buckets held that the ledger can't explain (sales from
+// before the ledger existed) - runs once, when a file without them is loaded
+function ensureOpeningBalances() {
+    if (salesData.openingBalances) return;
+
+    const active = salesData.sales.filter(sale => !sale.voided);
+    const inPeriod = (keyType, key) => active.filter(sale => getSalePeriodKeys(sale)[keyType] === key);
+    const today = getLocalTimestamp().slice(0, 10);
+    const keys = {
+        daily: getDayKeyFromDateString(salesData.lastReset.daily) || today,
+        weekly: getBucketWeekTag(salesData.weekly, today),
+        monthly: getMonthKeyFromTag(salesData.lastReset.monthlyTag) || today.slice(0, 7)
+    };
+
+    salesData.openingBalances = {
+        since: new Date().toISOString(),
+        allTime: subtractBuckets(salesData.allTime, aggregateSales(active)),
+        daily: { key: keys.daily, data: subtractBuckets(salesData.daily, aggregateSales(inPeriod('day', keys.daily))) },
+        weekly: { key: keys.weekly, data: subtractBuckets(salesData.weekly, aggregateSales(inPeriod('week', keys.weekly))) },
+        monthly: { key: keys.monthly, data: subtractBuckets(salesData.monthly, aggregateSales(inPeriod('month', keys.monthly))) }
+    };
+    console.log(`📌 Opening balances recorded: ${Object.keys(salesData.openingBalances.allTime).length} agents with pre-ledger totals`);
+}
+
+// Build every aggregate from a list of ledger records
+function computeAggregatesFromLedger(sales = salesData.sales) {
+    const active = sales.filter(sale => !sale.voided);
+    const opening = salesData.openingBalances || {};
+    const current = getPeriodKeys(getLocalTimestamp());
+    const rebuilt = {
+        allTime: addBuckets(summarizeBucket(aggregateSales(active)), opening.allTime),
+        archive: { daily: {}, weekly: {}, monthly: {} }
+    };
+
+    [['daily', 'day'], ['weekly', 'week'], ['monthly', 'month']].forEach(([period, keyType]) => {
+        const byKey = {};
+        active.forEach(sale => {
+            const key = getSalePeriodKeys(sale)[keyType];
+            if (!byKey[key]) byKey[key] = [];
+            byKey[key].push(sale);
+        });
+
+        const build = key => {
+            const data = aggregateSales(byKey[key] || []);
+            return opening[period] && opening[period].key === key ? addBuckets(data, opening[period].data) : data;
+        };
+
+        rebuilt[period] = build(current[keyType]);
+
+        // Closed periods: anything the ledger covers, plus archived periods that
+        // overlap the ledger era (older archives are kept as they are)
+        const openingKey = opening[period] ? opening[period].key : '';
+        const keys = new Set([
+            ...Object.keys(byKey),
+            ...Object.keys(salesData.archive[period]).filter(key => key >= openingKey)
+        ]);
+        keys.delete(current[keyType]);
+        keys.forEach(key => {
+            rebuilt.archive[period][key] = build(key);
+        });
+    });
+
+    return rebuilt;
+}
+
+// Agents whose total or count differ: [{ scope, userId, username, before, after }]
+function diffAggregates(rebuilt) {
+    const changes = [];
+    const compare = (scope, before = {}, after = {}) => {
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(userId => {
+            const a = before[userId] || { total: 0, count: 0 };
+            const b = after[userId] || { total: 0, count: 0 };
+            if (Math.abs(a.total - b.total) >= 0.01 || a.count !== b.count) {
+                changes.push({
+                    scope,
+                    userId,
+                    username: (b.username || a.username || userId),
+                    before: { total: a.total, count: a.count },
+                    after: { total: b.total, count: b.count }
+                });
+            }
+        });
+    };
+
+    ['daily', 'weekly', 'monthly', 'allTime'].forEach(period => compare(period, salesData[period], rebuilt[period]));
+    ['daily', 'weekly', 'monthly'].forEach(period => {
+        Object.keys(rebuilt.archive[period]).sort().forEach(key => {
+            compare(`${period} ${key}`, salesData.archive[period][key], rebuilt.archive[period][key]);
+        });
+    });
+
+    return changes;
+}
+
+// One line per change, e.g. "monthly  keith   $1,000.00 (3) → $1,200.00 (4)"
+function formatAggregateDiff(changes, limit = 25) {
+    const money = value => `$${value.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+    const lines = changes.slice(0, limit).map(change =>
+        `${change.scope.padEnd(18)} ${change.username.slice(0, 18).padEnd(18)} ${money(change.before.total)} (${change.before.count}) → ${money(change.after.total)} (${change.after.count})`
+    );
+    if (changes.length > limit) {
+        lines.push(`… and ${changes.length - limit} more`);
+    }
+    return lines.join('\n');
+}
+
+function applyAggregates(rebuilt) {
+    ['daily', 'weekly', 'monthly', 'allTime'].forEach(period => {
+        salesData[period] = rebuilt[period];
+    });
+    ['daily', 'weekly', 'monthly'].forEach(period => {
+        Object.assign(salesData.archive[period], rebuilt.archive[period]);
+    });
+}
+
+// Non-bot messages in a channel posted after `since` (oldest first)
+async function fetchChannelMessages(channel, { since = null, after = null } = {}) {
+    const messages = [];
+    if (after) {
+        // Walk forward from a known message id
+        let cursor = after;
+        while (true) {
+            const batch = await channel.messages.fetch({ limit: 100, after: cursor });
+            if (batch.size === 0) break;
+            const sorted = [...batch.values()].sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+            messages.push(...sorted);
+            cursor = sorted[sorted.length - 1].id;
+        }
+    } else {
+        // Walk backwards until we pass `since`
+        let before;
+        let done = false;
+        while (!done) {
+            const batch = await channel.messages.fetch({ limit: 100, before });
+            if (batch.size === 0) break;
+            for (const msg of batch.values()) {
+                if (since && msg.createdAt < since) {
+                    done = true;
+                } else {
+                    messages.push(msg);
+                }
+            }
+            before = batch.last().id;
+        }
+        messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    }
+    return messages.filter(msg => !msg.author.bot);
+}
+
+// Compare channel messages with the ledger: sales to add (missed or edited
+// posts) and sales to void (edited or deleted posts). Messages an admin has
+// already corrected are left alone, and so are posts from before the ledger
+// started that it has no record of - the opening balances (or records imported
+// without a message id) already count them.
+function reconcileChannelSales(messages, channelId, since = null) {
+    const plan = { add: [], void: [], messages: messages.length };
+    const seen = new Set();
+
+    messages.forEach(msg => {
+        seen.add(msg.id);
+        if (isPreLedgerMessage(msg)) return;
+        const records = salesData.sales.filter(sale => sale.messageId === msg.id);
+        if (records.some(sale => sale.source === 'admin' || (sale.voided && sale.voided.by))) return;
+        // Confirmed, turned down or still waiting - the answer to the prompt stands
+        if (salesData.saleReviews[msg.id]) return;
+
+        const active = records.filter(sale => !sale.voided);
+        const parsed = getSaleCredits(msg, false);
+        const unchanged = active.length === parsed.length &&
+            active.every((sale, i) => sale.userId === parsed[i].userId && sale.amount === parsed[i].amount && sale.policyType === parsed[i].policyType);
+        if (unchanged) return;
+
+        active.forEach(sale => plan.void.push({ sale, reason: 'message edited' }));
+        parsed.forEach((credit, i) => plan.add.push({
+            userId: credit.userId,
+            username: credit.username,
+            amount: credit.amount,
+            policyType: credit.policyType,
+            details: { messageId: msg.id, channelId, timestamp: msg.createdAt, source: 'replay', split: credit.split, ...inheritStatus(active[i]) }
+        }));
+    });
+
+    // Message-sourced sales in the window whose post is gone
+    salesData.sales.forEach(sale => {
+        if (sale.voided || !sale.messageId || sale.source === 'admin') return;
+        if (sale.channelId !== channelId || seen.has(sale.messageId)) return;
+        if (since && new Date(sale.timestamp) < since) return;
+        plan.void.push({ sale, reason: 'message deleted' });
+    });
+
+    return plan;
+}
+
+// Ledger as it would look after a reconcile plan (without touching it)
+function previewLedger(plan) {
+    const voided = new Set(plan.void.map(item => item.sale.id));
+    const preview = salesData.sales.map(sale => (voided.has(sale.id) ? { ...sale, voided: { reason: 'preview' } } : sale));
+    plan.add.forEach(item => {
+        const createdAt = new Date(item.details.timestamp);
+        const { carrier, product } = resolvePolicy(item.policyType);
+        preview.push({
+            id: null,
+            userId: item.userId,
+            username: item.username,
+            amount: item.amount,
+            carrier,
+            product,
+            policyType: item.policyType,
+            timestamp: createdAt.toISOString(),
+            localTimestamp: getLocalTimestamp(createdAt),
+            voided: null
+        });
+    });
+    return preview;
+}
+
+function applyReconcilePlan(plan, by = null) {
+    plan.void.forEach(item => voidSale(item.sale, item.reason, by));
+    return plan.add.map(item => addSale(item.userId, item.username, item.amount, item.policyType, item.details));
+}
+
+// !recompute            - rebuild from the ledger
+// !recompute channel [days] - rebuild from the sales channel history (default: this month)
+// !recompute confirm    - apply the pending rebuild
+async function handleRecomputeCommand(message, args) {
+    const mode = (args[0] || 'ledger').toLowerCase();
+
+    const guildId = currentStore().guildId;
+
+    if (mode === 'confirm') {
+        const pendingRecompute = pendingRecomputes.get(guildId);
+        if (!pendingRecompute || pendingRecompute.expires < Date.now()) {
+            pendingRecomputes.delete(guildId);
+            return message.reply('⚠️ Nothing to confirm - run `!recompute` first');
+        }
+        if (pendingRecompute.by !== message.author.id) {
+            return message.reply('⚠️ Only the admin who started the recompute can confirm it');
+        }
+
+        const { plan, source, changeCount } = pendingRecompute;
+        pendingRecomputes.delete(guildId);
+        checkResets();
+        if (plan) {
+            applyReconcilePlan(plan, message.author.id);
+        }
+        applyAggregates(computeAggregatesFromLedger());
+        logAudit(message.author, 'recompute', {
+            source,
+            changes: changeCount,
+            added: plan ? plan.add.length : 0,
+            voided: plan ? plan.void.length : 0
+        });
+        await saveData();
+        return message.reply(`✅ Aggregates rebuilt from ${source}: ${changeCount} agent totals updated`);
+    }
+
+    checkResets();
+    let plan = null;
+    let rebuilt;
+    let source = 'the ledger';
+
+    if (mode === 'channel') {
+        const channels = getSalesChannels();
+        if (channels.length === 0) {
+            return message.reply('❌ No sales channel configured - use `!config sales add #channel`');
+        }
+        // Default window starts at the beginning of this month (or this week, if earlier)
+        const today = getLocalTimestamp().slice(0, 10);
+        const weekday = new Date(`${today}T12:00:00Z`).getUTCDay() || 7;
+        const windowStart = args[1]
+            ? shiftDayKey(today, -parseInt(args[1], 10))
+            : [`${today.slice(0, 7)}-01`, shiftDayKey(today, 1 - weekday)].sort()[0];
+        const since = getLocalDayStart(windowStart);
+
+        await message.reply(`🔎 Reading sales channel history since ${windowStart}...`);
+        plan = { add: [], void: [], messages: 0 };
+        for (const channel of channels) {
+            const messages = await fetchChannelMessages(channel, { since });
+            const channelPlan = reconcileChannelSales(messages, channel.id, since);
+            plan.add.push(...channelPlan.add);
+            plan.void.push(...channelPlan.void);
+            plan.messages += channelPlan.messages;
+        }
+        rebuilt = computeAggregatesFromLedger(previewLedger(plan));
+        source = `channel history since ${windowStart}`;
+    } else if (mode === 'ledger') {
+        rebuilt = computeAggregatesFromLedger();
+    } else {
+        return message.reply('Usage: `!recompute [ledger|channel [days]|confirm]`');
+    }
+
+    const changes = diffAggregates(rebuilt);
+    const planSummary = plan ? `\n📨 ${plan.messages} messages read: ${plan.add.length} sales to add, ${plan.void.length} to reverse` : '';
+
+    if (changes.length === 0 && (!plan || (plan.add.length === 0 && plan.void.length === 0))) {
+        return message.reply(`✅ Stored totals already match ${source} - nothing to change${planSummary}`);
+    }
+
+    pendingRecomputes.set(guildId, {
+        by: message.author.id,
+        source,
+        plan,
+        changeCount: changes.length,
+        expires: Date.now() + RECOMPUTE_CONFIRM_MS
+    });
+    await message.reply(`🧮 **Recompute from ${source}**${planSummary}\n${changes.length} agent totals would change:\n\`\`\`\n${formatAggregateDiff(changes, 20) || '(no total changes)'}\n\`\`\`\nReply \`!recompute confirm\` within 5 minutes to apply.`);
+}
+
+// ========================================
+// GOALS
+// ========================================
+// Goals live in salesData.goals (see DEFAULT_GOALS); progress is shown in
+// !mystats and the leaderboards, and crossings are announced once per period.
+const PERIOD_NAMES = {
+    'daily': 'Today',
+    'weekly': 'This Week',
+    'monthly': 'This Month'
+};
+
+function getAgentGoal(userId, period) {
+    const own = salesData.goals.agents[userId];
+    if (own && own[period]) return own[period];
+    return salesData.goals.defaultAgent[period] || 0;
+}
+
+function getTeamGoal(period) {
+    return salesData.goals.team[period] || 0;
+}
+
+// Fraction of the current local day/week/month that has already gone by
+function getPeriodElapsedFraction(period) {
+    const p = getLocalParts();
+    const dayFraction = (Number(p.hour) * 3600 + Number(p.minute) * 60 + Number(p.second)) / 86400;
+    if (period === 'daily') {
+        return dayFraction;
+    }
+    if (period === 'weekly') {
+        const weekday = new Date(Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day))).getUTCDay() || 7;
+        return (weekday - 1 + dayFraction) / 7;
+    }
+    const daysInMonth = new Date(Date.UTC(Number(p.year), Number(p.month), 0)).getUTCDate();
+    return (Number(p.day) - 1 + dayFraction) / daysInMonth;
+}
+
+// Projected total at the end of the period at the current rate
+function getPace(total, period) {
+    const elapsed = getPeriodElapsedFraction(period);
+    return elapsed > 0 ? total / elapsed : total;
+}
+
+// "▰▰▰▰▱▱▱▱▱▱ 42%"
+function formatProgressBar(total, goal, size = 10) {
+    const ratio = goal > 0 ? total / goal : 0;
+    const filled = Math.min(size, Math.round(ratio * size));
+    return `${'▰'.repeat(filled)}${'▱'.repeat(size - filled)} ${(ratio * 100).toFixed(0)}%`;
+}
+
+// Progress + pace lines for one total against its goal
+function formatGoalProgress(total, goal, period) {
+    const money = value => `$${Math.round(value).toLocaleString('en-US')}`;
+    let text = `${formatProgressBar(total, goal)} of ${money(goal)}`;
+    if (total >= goal) {
+        text += ' ✅';
+    } else if (period !== 'daily') {
+        text += `\n📈 On pace for ${money(getPace(total, period))} ${period === 'weekly' ? 'this week' : 'this month'}`;
+    }
+    return text;
+}
+
+// Announce agents (and the team) crossing their goal - each goal is announced
+// once per period, remembered in salesData.goalAnnouncements
+async function announceGoalCrossings() {
+    const channel = getConfiguredChannel('leaderboardChannelId');
+    const current = getPeriodKeys(getLocalTimestamp());
+    const announced = {};
+    const pending = [];
+
+    ['daily', 'weekly', 'monthly'].forEach(period => {
+        const periodKey = current[PERIOD_KEY_TYPES[period]];
+        const bucket = salesData[period];
+
+        Object.entries(bucket).forEach(([userId, entry]) => {
+            const goal = getAgentGoal(userId, period);
+            const key = `${period}:${periodKey}:${userId}`;
+            if (goal > 0 && entry.total >= goal) {
+                announced[key] = true;
+                if (!salesData.goalAnnouncements[key]) {
+                    pending.push(`🎯 **${entry.username}** just hit the ${period} goal of **$${goal.toLocaleString('en-US')}** AP! (${PERIOD_NAMES[period]}: $${entry.total.toLocaleString('en-US', {minimumFractionDigits: 2})})`);
                 }
             }
-        }
-        
-        let policyType = foundPolicy || policyText;
-        
-        const words = policyType.split(' ').filter(word => word.length > 0);
-        if (words.length > 3) {
-            policyType = words.slice(0, 3).join(' ');
-        }
-        
-        if (!policyType || policyType.length < 2) {
-            policyType = 'General Policy';
-        }
-        
-        policyType = policyType.split(' ')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-            .join(' ');
-        
-        sales.push({
-            amount: amount,
-            policyType: policyType
         });
+
+        const teamGoal = getTeamGoal(period);
+        const teamTotal = Object.values(bucket).reduce((sum, user) => sum + user.total, 0);
+        const teamKey = `${period}:${periodKey}:team`;
+        if (teamGoal > 0 && teamTotal >= teamGoal) {
+            announced[teamKey] = true;
+            if (!salesData.goalAnnouncements[teamKey]) {
+                pending.push(`🏆 **TEAM GOAL REACHED!** ${PERIOD_NAMES[period]} the team wrote **$${teamTotal.toLocaleString('en-US', {minimumFractionDigits: 2})}** AP of a $${teamGoal.toLocaleString('en-US')} goal 🎉`);
+            }
+        }
     });
-    
-    console.log(`💬 Parsed ${sales.length} sale(s) from message:`);
-    sales.forEach((sale, i) => {
-        console.log(`   Sale ${i + 1}: $${sale.amount} - "${sale.policyType}"`);
-    });
-    
-    return sales;
-}
 
-// Add sale
-function addSale(userId, username, amount, policyType) {
-    if (!salesData.daily[userId]) {
-        salesData.daily[userId] = { total: 0, count: 0, username: username };
+    // Only the current periods are kept, so a reversed sale can be re-announced
+    salesData.goalAnnouncements = announced;
+    if (pending.length === 0) return;
+
+    await saveData();
+    if (channel) {
+        for (const text of pending) {
+            await channel.send(text);
+        }
     }
-    if (!salesData.weekly[userId]) {
-        salesData.weekly[userId] = { total: 0, count: 0, username: username };
+    pending.forEach(text => console.log(`🎯 Goal announcement: ${text}`));
+}
+
+// !goal                                      - show goals
+// !goal set <daily|weekly|monthly> <amount> [@member|team|default]
+// !goal clear <daily|weekly|monthly> [@member|team|default]
+async function handleGoalCommand(message, args) {
+    const action = (args[0] || 'list').toLowerCase();
+    const money = value => `$${value.toLocaleString('en-US')}`;
+
+    if (action === 'list') {
+        const goals = salesData.goals;
+        const describe = set => ['daily', 'weekly', 'monthly']
+            .filter(period => set[period])
+            .map(period => `${period}: **${money(set[period])}**`)
+            .join(' · ') || '*none*';
+        const agentLines = Object.entries(goals.agents)
+            .map(([userId, set]) => `<@${userId}> - ${describe(set)}`)
+            .join('\n');
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0066CC)
+            .setTitle('🎯 AP Goals')
+            .addFields(
+                { name: '🏢 **TEAM**', value: describe(goals.team) },
+                { name: '👤 **DEFAULT PER AGENT**', value: describe(goals.defaultAgent) },
+                { name: '⭐ **AGENT GOALS**', value: agentLines.slice(0, 1024) || '*none*' }
+            )
+            .setTimestamp();
+        return message.channel.send({ embeds: [embed] });
     }
-    if (!salesData.monthly[userId]) {
-        salesData.monthly[userId] = { total: 0, count: 0, username: username };
+
+    if (!isAdmin(message.member)) return;
+
+    const period = PERIOD_ALIASES[(args[1] || '').toLowerCase()];
+    const amount = action === 'set' ? parseAmount(args[2]) : 0;
+    const targetWord = (args[action === 'set' ? 3 : 2] || 'default').toLowerCase();
+    const member = message.mentions.users.first();
+
+    if (!['set', 'clear'].includes(action) || !period || (action === 'set' && !(amount > 0))) {
+        return message.reply('Usage: `!goal set <daily|weekly|monthly> <amount> [@member|team|default]` or `!goal clear <period> [@member|team|default]`');
     }
-    if (!salesData.allTime[userId]) {
-        salesData.allTime[userId] = { total: 0, count: 0, username: username };
+
+    let goalSet;
+    let targetName;
+    if (member) {
+        if (!salesData.goals.agents[member.id]) salesData.goals.agents[member.id] = {};
+        goalSet = salesData.goals.agents[member.id];
+        targetName = member.username;
+    } else if (targetWord === 'team') {
+        goalSet = salesData.goals.team;
+        targetName = 'the team';
+    } else {
+        goalSet = salesData.goals.defaultAgent;
+        targetName = 'every agent (default)';
     }
 
-    salesData.daily[userId].total += amount;
-    salesData.daily[userId].count += 1;
-    salesData.weekly[userId].total += amount;
-    salesData.weekly[userId].count += 1;
-    salesData.monthly[userId].total += amount;
-    salesData.monthly[userId].count += 1;
-    salesData.allTime[userId].total += amount;
-    salesData.allTime[userId].count += 1;
+    if (action === 'set') {
+        goalSet[period] = amount;
+    } else {
+        delete goalSet[period];
+        if (member && Object.keys(goalSet).length === 0) delete salesData.goals.agents[member.id];
+    }
 
-    saveData();
+    logAudit(message.author, `goal-${action}`, { kind: 'goal', name: targetName, period, amount });
+    await saveData();
+    await message.reply(action === 'set'
+        ? `🎯 ${period} goal for ${targetName} set to **${money(amount)}** AP`
+        : `🎯 ${period} goal for ${targetName} cleared`);
 }
 
 // Generate AP Leaderboard
@@ -473,7 +5238,7 @@ function generateAPLeaderboard(period, title = null) {
     };
 
     const currentDate = new Date().toLocaleString('en-US', {
-        timeZone: 'America/Los_Angeles',
+        timeZone: getTimezone(),
         month: '2-digit',
         day: '2-digit',
         year: 'numeric',
@@ -502,7 +5267,8 @@ function generateAPLeaderboard(period, title = null) {
             topDescription += `${medal}\n`;
             topDescription += `👤 **${data.username}**\n`;
             topDescription += `💵 **$${data.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP**\n`;
-            topDescription += `📊 *${data.count} policies*\n\n`;
+            const goal = getAgentGoal(userId, period);
+            topDescription += `📊 *${data.count} policies*${goal > 0 ? ` · 🎯 ${((data.total / goal) * 100).toFixed(0)}% of goal` : ''}\n\n`;
         });
         
         embed.addFields({
@@ -536,6 +5302,16 @@ function generateAPLeaderboard(period, title = null) {
         });
     }
 
+    // Team goal progress for the period
+    const teamGoal = getTeamGoal(period);
+    if (teamGoal > 0) {
+        const teamTotal = Object.values(data).reduce((sum, user) => sum + user.total, 0);
+        embed.addFields({
+            name: '🎯 **TEAM GOAL**',
+            value: formatGoalProgress(teamTotal, teamGoal, period)
+        });
+    }
+
     return embed;
 }
 
@@ -545,7 +5321,7 @@ function generateAPLeaderboardFromData(data, title) {
         .sort(([,a], [,b]) => b.total - a.total);
 
     const currentDate = new Date().toLocaleString('en-US', {
-        timeZone: 'America/Los_Angeles',
+        timeZone: getTimezone(),
         month: '2-digit',
         day: '2-digit',
         year: 'numeric',
@@ -611,350 +5387,878 @@ function generateAPLeaderboardFromData(data, title) {
     return embed;
 }
 
-// Función para convertir hora Pacific a UTC
-function getPacificToUTC(pacificHour) {
-    const testDate = new Date();
-    testDate.setHours(pacificHour, 0, 0, 0);
-    
-    const pacificTime = new Date(testDate.toLocaleString("en-US", {timeZone: "America/Los_Angeles"}));
-    const utcTime = new Date(testDate.toLocaleString("en-US", {timeZone: "UTC"}));
-    
-    const offset = (utcTime.getHours() - pacificTime.getHours() + 24) % 24;
-    return (pacificHour + offset) % 24;
-}
-
 // Bot ready event
 client.once('ready', async () => {
     console.log('\n✅ Bot connected successfully!');
     console.log(`   🤖 Bot Tag: ${client.user.tag}`);
     console.log(`   🆔 Bot ID: ${client.user.id}`);
-    console.log(`   📅 Connected at: ${new Date().toLocaleString('en-US', {timeZone: 'America/Los_Angeles'})}`);
+    console.log(`   📅 Connected at: ${new Date().toLocaleString('en-US', {timeZone: DEFAULT_TIMEZONE})}`);
     console.log(`   📡 Ping: ${client.ws.ping}ms\n`);
     
     // Verificar variables de entorno
     console.log('🔍 Environment check:');
-    console.log(`   SALES_CHANNEL_ID: ${process.env.SALES_CHANNEL_ID ? '✓' : '✗'}`);
+    console.log(`   SALES_CHANNEL_ID: ${process.env.SALES_CHANNEL_ID ? '✓' : '✗ (configure servers with !config)'}`);
     console.log(`   LEADERBOARD_CHANNEL_ID: ${process.env.LEADERBOARD_CHANNEL_ID ? '✓' : '✗'}`);
-    console.log(`   GITHUB_TOKEN: ${process.env.GITHUB_TOKEN ? '✓' : '✗'}`);
+    console.log(`   GITHUB_TOKEN: ${process.env.GITHUB_TOKEN ? `✓ (${GITHUB_BACKUP.repo}@${GITHUB_BACKUP.branch}:${GITHUB_BACKUP.path})` : '✗'}`);
+    console.log(`   API_TOKENS: ${API_TOKENS.length > 0 ? `✓ ${API_TOKENS.map(entry => `${entry.name} (${entry.scope})`).join(', ')}` : '✗ (REST API disabled)'}`);
+    console.log(`   BACKUP_TARGETS: ${getConfiguredBackupTargets().join(', ') || '✗ none'}`);
+    const unknownTargets = (process.env.BACKUP_TARGETS || '').split(',').map(name => name.trim().toLowerCase()).filter(name => name && !backupTargets[name]);
+    if (unknownTargets.length > 0) {
+        console.log(`   ⚠️ Unknown backup targets ignored: ${unknownTargets.join(', ')} (use local, github, s3, discord)`);
+    }
+    console.log(`   ADMIN_CHANNEL_ID: ${process.env.ADMIN_CHANNEL_ID ? '✓' : '✗ (catch-up reports only logged)'}`);
     console.log('');
     
+    await bootstrapHomeGuild();
+    
+    // Guild slash commands update instantly (global ones can take an hour)
+    for (const guild of client.guilds.cache.values()) {
+        await registerSlashCommands(guild);
+    }
+    
     // Verificar y resetear si es necesario
-    checkResets();
+    await forEachGuild(() => checkResets());
 
     // ========== Scheduled automatic posts (AP leaderboards) ==========
+    // Each server's posts (see SCHEDULED POSTS / !schedule)
+    startAllSchedules();
     
-    // Cada 3 horas: AP leaderboard + sync GitHub
+    // Sync GitHub every 3 hours
     cron.schedule('0 */3 * * *', async () => {
-        const pacificNow = new Date(new Date().toLocaleString("en-US", {timeZone: "America/Los_Angeles"}));
-        const hour = pacificNow.getHours();
-        
-        if ([9, 12, 15, 18, 21].includes(hour)) {
-            const channel = client.channels.cache.get(process.env.LEADERBOARD_CHANNEL_ID);
-            if (channel) {
-                checkResets();
-                const embed = generateAPLeaderboard('daily');
-                await channel.send({ embeds: [embed] });
-                console.log(`📊 AP leaderboard posted - ${hour}:00 Pacific`);
-            }
-        }
-        
-        // Sync to GitHub every 3 hours
-        if (process.env.GITHUB_TOKEN) {
+        if (process.env.GITHUB_TOKEN && getConfiguredBackupTargets().includes('github')) {
             console.log('⏰ 3-hour GitHub sync triggered');
-            await syncToGitHub();
-        }
-    });
-
-    // Daily backup at 23:59 Pacific
-    cron.schedule('59 23 * * *', async () => { 
-        await backupDailySales(); 
-    }, { timezone: 'America/Los_Angeles' });
-
-    // Weekly summary - Sundays at 10:55 PM Pacific
-    const weeklyUTCHour = getPacificToUTC(22);
-    cron.schedule(`55 ${weeklyUTCHour} * * 0`, async () => {
-        const channel = client.channels.cache.get(process.env.LEADERBOARD_CHANNEL_ID);
-        if (channel) {
-            const weeklyDataCopy = JSON.parse(JSON.stringify(salesData.weekly));
-            
-            await channel.send('🏆 **WEEKLY FINAL RANKINGS**');
-            
-            const apEmbed = generateAPLeaderboardFromData(weeklyDataCopy, '💵 WEEKLY CHAMPIONS - COMPLETE WEEK');
-            apEmbed.setColor(0xFF6B6B);
-            await channel.send({ embeds: [apEmbed] });
-            
-            await channel.send('━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            console.log('📊 Weekly AP rankings posted - Sunday 10:55 PM Pacific');
+            await forEachGuild(() => syncToGitHub());
         }
-    }, {
-        scheduled: true,
-        timezone: "UTC"
     });
 
-    // Monthly summary - Last day of month at 10:55 PM Pacific
-    const monthlyUTCHour = getPacificToUTC(22);
-    cron.schedule(`55 ${monthlyUTCHour} * * *`, async () => {
-        const pacificNow = new Date(new Date().toLocaleString("en-US", {timeZone: "America/Los_Angeles"}));
-        const tomorrow = new Date(pacificNow);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        if (tomorrow.getDate() === 1) {
-            const channel = client.channels.cache.get(process.env.LEADERBOARD_CHANNEL_ID);
-            if (channel) {
-                const monthlyDataCopy = JSON.parse(JSON.stringify(salesData.monthly));
-                
-                await channel.send('🎊 **MONTHLY FINAL RANKINGS - CONGRATULATIONS!** 🎊');
-                
-                const apEmbed = generateAPLeaderboardFromData(monthlyDataCopy, '💵 MONTHLY CHAMPIONS - COMPLETE MONTH');
-                apEmbed.setColor(0xFFD700);
-                await channel.send({ embeds: [apEmbed] });
-                
-                await channel.send('━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-                console.log('📊 Monthly AP rankings posted - End of month 10:55 PM Pacific');
-            }
-        }
-    }, {
-        scheduled: true,
-        timezone: "UTC"
+    // Daily backup at 23:59 local time
+    cron.schedule('59 * * * *', async () => {
+        await forEachGuild(async () => {
+            if (getLocalParts().hour === '23') {
+                await backupDailySales();
+            }
+        });
     });
     
     console.log('\n🌍 TIMEZONE INFORMATION:');
     const now = new Date();
     const utcTime = now.toLocaleString('en-US', { timeZone: 'UTC', hour: '2-digit', minute: '2-digit', hour12: true });
-    const pacificTime = now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles', hour: '2-digit', minute: '2-digit', hour12: true });
     console.log(`   Current UTC time: ${utcTime}`);
-    console.log(`   Current Pacific time: ${pacificTime}`);
-    console.log(`   DST Status: ${isDST() ? 'PDT (UTC-7)' : 'PST (UTC-8)'}`);
-    console.log(`   Cron schedules adjusted for Pacific Time ✅`);
+    Object.values(guildConfigs).forEach(config => {
+        const localTime = now.toLocaleString('en-US', { timeZone: config.timezone, hour: '2-digit', minute: '2-digit', hour12: true });
+        const active = config.schedules.filter(schedule => !schedule.paused).length;
+        console.log(`   ${config.name || config.guildId}: ${localTime} (${config.timezone}), ${active} scheduled posts`);
+    });
+    console.log(`   Scheduled posts run in each server's timezone ✅`);
+
+    // Record sales posted while the bot was offline
+    await runStartupCatchUp();
 });
 
-// Handle messages
-client.on('messageCreate', async message => {
-    if (message.author.bot) return;
+// Command dispatcher - shared by the ! prefix commands and the slash commands
+// (slash commands pass an adapter with the same reply/channel/mentions shape)
+async function runCommand(message, command, args) {
+    switch(command) {
+        case 'leaderboard':
+        case 'lb':
+        case 'ap':
+        case 'rankings':
+            await handleLeaderboardCommand(message, args);
+            break;
 
-    // Check if it's the sales channel
-    if (message.channel.id === process.env.SALES_CHANNEL_ID) {
-        const sales = parseMultipleSales(message.content);
-        
-        if (sales && sales.length > 0) {
-            let totalAmount = 0;
-            
-            for (const sale of sales) {
-                if (sale.amount > 0) {
-                    addSale(
-                        message.author.id, 
-                        message.author.username, 
-                        sale.amount, 
-                        sale.policyType
-                    );
-                    totalAmount += sale.amount;
-                    
-                    console.log(`💰 Sale recorded: ${message.author.username} - $${sale.amount} AP - ${sale.policyType}`);
+        case 'mysales':
+        case 'mystats':
+        case 'stats':
+            checkResets();
+            // Another agent's stats with !stats @member
+            const target = message.mentions.users.first() || message.author;
+            const userId = target.id;
+            const daily = salesData.daily[userId] || { total: 0, count: 0 };
+            const weekly = salesData.weekly[userId] || { total: 0, count: 0 };
+            const monthly = salesData.monthly[userId] || { total: 0, count: 0 };
+            const allTime = salesData.allTime && salesData.allTime[userId] ? salesData.allTime[userId] : { total: 0, count: 0 };
+
+            const dailyAPRank = Object.entries(salesData.daily)
+                .sort(([,a], [,b]) => b.total - a.total)
+                .findIndex(([id,]) => id === userId) + 1;
+
+            const statsEmbed = new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle(`📊 ${target.username}'s Complete Statistics`)
+                .setThumbnail(target.displayAvatarURL())
+                .addFields(
+                    { 
+                        name: '📅 **TODAY**', 
+                        value: `💵 **${daily.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP**\n📋 **${daily.count} Policies**\n🏆 AP Rank: #${dailyAPRank || 'N/A'}`, 
+                        inline: true 
+                    },
+                    { 
+                        name: '📊 **THIS WEEK**', 
+                        value: `💵 **${weekly.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP**\n📋 **${weekly.count} Policies**`, 
+                        inline: true 
+                    },
+                    { 
+                        name: '🏆 **THIS MONTH**', 
+                        value: `💵 **${monthly.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP**\n📋 **${monthly.count} Policies**`, 
+                        inline: true 
+                    }
+                );
+
+            if (allTime.total > 0) {
+                statsEmbed.addFields({
+                    name: '🌟 **ALL-TIME RECORD**',
+                    value: `💎 **${allTime.total.toLocaleString('en-US', {minimumFractionDigits: 2})} Total AP**\n📝 **${allTime.count} Total Policies**`
+                });
+            }
+
+            const monthAverage = monthly.count > 0 ? monthly.total / monthly.count : 0;
+            if (monthAverage > 0) {
+                statsEmbed.addFields({
+                    name: '📈 **Performance Metrics**',
+                    value: `**Avg AP per Policy:** ${monthAverage.toLocaleString('en-US', {minimumFractionDigits: 2})}\n**Month Pace:** $${Math.round(getPace(monthly.total, 'monthly')).toLocaleString('en-US')}`
+                });
+            }
+
+            // Goal progress for every period with a goal
+            const goalLines = [['daily', daily], ['weekly', weekly], ['monthly', monthly]]
+                .filter(([period]) => getAgentGoal(userId, period) > 0)
+                .map(([period, stats]) => `**${PERIOD_NAMES[period]}:** ${formatGoalProgress(stats.total, getAgentGoal(userId, period), period)}`);
+            if (goalLines.length > 0) {
+                statsEmbed.addFields({
+                    name: '🎯 **GOALS**',
+                    value: goalLines.join('\n')
+                });
+            }
+
+            // Carrier / product mix this month
+            const mySales = getCurrentPeriodSales('monthly').filter(sale => sale.userId === userId);
+            if (mySales.length > 0) {
+                statsEmbed.addFields(
+                    {
+                        name: '🏢 **Carrier Mix (Month)**',
+                        value: formatMixLines(summarizeSalesBy(mySales, 'carrier')),
+                        inline: true
+                    },
+                    {
+                        name: '📋 **Product Mix (Month)**',
+                        value: formatMixLines(summarizeSalesBy(mySales, 'product')),
+                        inline: true
+                    },
+                    {
+                        name: '🧾 **POLICY STATUS (MONTH)**',
+                        value: formatStatusSummary(mySales)
+                    }
+                );
+            }
+
+            // Cases written with other agents this month
+            const mySplits = mySales.filter(sale => sale.split);
+            if (mySplits.length > 0) {
+                const splitLines = mySplits.slice(-5).reverse()
+                    .map(sale => `$${sale.amount.toLocaleString('en-US', {minimumFractionDigits: 2})} ${sale.policyType} · ${formatSplit(sale)}`);
+                if (mySplits.length > 5) {
+                    splitLines.push(`*...and ${mySplits.length - 5} more*`);
                 }
+                statsEmbed.addFields({
+                    name: `🤝 **SPLIT POLICIES (MONTH)** - ${mySplits.length} cases, ${Math.round(mySplits.reduce((sum, sale) => sum + getSaleShare(sale), 0) * 100) / 100} policies credited`,
+                    value: splitLines.join('\n').slice(0, 1024)
+                });
             }
+
+            statsEmbed
+                .setTimestamp()
+                .setFooter({ text: 'BIG - Keep pushing for higher AP!' });
+
+            await message.channel.send({ embeds: [statsEmbed] });
+            break;
             
-            if (totalAmount > 0) {
-                await message.react('✅');
-                await message.react('💰');
-                
-                if (totalAmount >= 1000) {
-                    await message.react('🔥');
-                }
-                
-                if (totalAmount >= 5000) {
-                    await message.react('🚀');
-                }
-                
-                if (sales.length >= 3) {
-                    await message.react('⭐');
-                }
-                
-                console.log(`📊 Total recorded: ${sales.length} policies, $${totalAmount} total AP`);
-            }
-        }
-    }
-
-    // Commands
-    if (message.content.startsWith('!')) {
-        const args = message.content.slice(1).trim().split(/ +/);
-        const command = args.shift().toLowerCase();
-
-        switch(command) {
-            case 'leaderboard':
-            case 'lb':
-            case 'ap':
-            case 'rankings':
-                const period = args[0] || 'daily';
-                const validPeriods = {
-                    'daily': 'daily',
-                    'day': 'daily',
-                    'today': 'daily',
-                    'weekly': 'weekly',
-                    'week': 'weekly',
-                    'monthly': 'monthly',
-                    'month': 'monthly'
-                };
-                
-                if (validPeriods[period]) {
-                    await message.channel.send({ embeds: [generateAPLeaderboard(validPeriods[period])] });
+        case 'sync':
+            // Comando manual para sincronizar con GitHub
+            if (isAdmin(message.member)) {
+                await message.reply('🔄 Starting GitHub sync...');
+                const success = await syncToGitHub();
+                if (success) {
+                    await message.reply('✅ GitHub sync completed successfully');
                 } else {
-                    await message.reply('Usage: `!leaderboard [daily|weekly|monthly]`');
+                    await message.reply('❌ GitHub sync failed - check logs');
                 }
-                break;
-
-            case 'mysales':
-            case 'mystats':
-            case 'stats':
-                checkResets();
-                const userId = message.author.id;
-                const daily = salesData.daily[userId] || { total: 0, count: 0 };
-                const weekly = salesData.weekly[userId] || { total: 0, count: 0 };
-                const monthly = salesData.monthly[userId] || { total: 0, count: 0 };
-                const allTime = salesData.allTime && salesData.allTime[userId] ? salesData.allTime[userId] : { total: 0, count: 0 };
-
-                const dailyAPRank = Object.entries(salesData.daily)
-                    .sort(([,a], [,b]) => b.total - a.total)
-                    .findIndex(([id,]) => id === userId) + 1;
-
-                const statsEmbed = new EmbedBuilder()
-                    .setColor(0x00FF00)
-                    .setTitle(`📊 ${message.author.username}'s Complete Statistics`)
-                    .setThumbnail(message.author.displayAvatarURL())
-                    .addFields(
-                        { 
-                            name: '📅 **TODAY**', 
-                            value: `💵 **${daily.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP**\n📋 **${daily.count} Policies**\n🏆 AP Rank: #${dailyAPRank || 'N/A'}`, 
-                            inline: true 
-                        },
-                        { 
-                            name: '📊 **THIS WEEK**', 
-                            value: `💵 **${weekly.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP**\n📋 **${weekly.count} Policies**`, 
-                            inline: true 
-                        },
-                        { 
-                            name: '🏆 **THIS MONTH**', 
-                            value: `💵 **${monthly.total.toLocaleString('en-US', {minimumFractionDigits: 2})} AP**\n📋 **${monthly.count} Policies**`, 
-                            inline: true 
-                        }
-                    );
+            }
+            break;
 
-                if (allTime.total > 0) {
-                    statsEmbed.addFields({
-                        name: '🌟 **ALL-TIME RECORD**',
-                        value: `💎 **${allTime.total.toLocaleString('en-US', {minimumFractionDigits: 2})} Total AP**\n📝 **${allTime.count} Total Policies**`
-                    });
-                }
+        case 'addsale':
+            if (isAdmin(message.member)) {
+                await handleAddSaleCommand(message, args);
+            }
+            break;
 
-                const monthAverage = monthly.count > 0 ? monthly.total / monthly.count : 0;
-                if (monthAverage > 0) {
-                    statsEmbed.addFields({
-                        name: '📈 **Performance Metrics**',
-                        value: `**Avg AP per Policy:** ${monthAverage.toLocaleString('en-US', {minimumFractionDigits: 2})}\n**Daily Target:** ${((daily.total / 2000) * 100).toFixed(1)}% of $2,000`
-                    });
-                }
+        case 'removesale':
+            if (isAdmin(message.member)) {
+                await handleRemoveSaleCommand(message, args);
+            }
+            break;
+
+        case 'adjust':
+            if (isAdmin(message.member)) {
+                await handleAdjustCommand(message, args);
+            }
+            break;
+
+        case 'transfer':
+            if (isAdmin(message.member)) {
+                await handleTransferCommand(message, args);
+            }
+            break;
+
+        case 'sales':
+            if (isAdmin(message.member)) {
+                await handleListSalesCommand(message, args);
+            }
+            break;
 
-                statsEmbed
-                    .setTimestamp()
-                    .setFooter({ text: 'BIG - Keep pushing for higher AP!' });
-
-                await message.channel.send({ embeds: [statsEmbed] });
-                break;
-                
-            case 'sync':
-                // Comando manual para sincronizar con GitHub
-                if (message.member.permissions.has('ADMINISTRATOR')) {
-                    await message.reply('🔄 Starting GitHub sync...');
-                    const success = await syncToGitHub();
-                    if (success) {
-                        await message.reply('✅ GitHub sync completed successfully');
-                    } else {
-                        await message.reply('❌ GitHub sync failed - check logs');
+        case 'audit':
+            if (isAdmin(message.member)) {
+                await handleAuditCommand(message, args);
+            }
+            break;
+
+        case 'status':
+            if (isAdmin(message.member)) {
+                await handleStatusCommand(message, args);
+            }
+            break;
+
+        case 'catalog':
+            await handleCatalogCommand(message, args);
+            break;
+
+        case 'team':
+        case 'teams':
+            await handleTeamCommand(message, args);
+            break;
+
+        case 'goal':
+        case 'goals':
+            await handleGoalCommand(message, args);
+            break;
+
+        case 'catchup':
+            if (isAdmin(message.member)) {
+                await handleCatchUpCommand(message);
+            }
+            break;
+
+        case 'recompute':
+            if (isAdmin(message.member)) {
+                await handleRecomputeCommand(message, args);
+            }
+            break;
+
+        case 'config':
+            if (isAdmin(message.member)) {
+                await handleConfigCommand(message, args);
+            }
+            break;
+
+        case 'export':
+            if (isAdmin(message.member)) {
+                await handleExportCommand(message, args);
+            }
+            break;
+
+        case 'backups':
+        case 'backup':
+            if (isAdmin(message.member)) {
+                await handleBackupsCommand(message, args);
+            }
+            break;
+
+        case 'schedule':
+        case 'schedules':
+            if (isAdmin(message.member)) {
+                await handleScheduleCommand(message, args);
+            }
+            break;
+
+        case 'archive':
+        case 'history':
+            await handleArchiveCommand(message, args);
+            break;
+
+        case 'help':
+        case 'commands':
+            const helpEmbed = new EmbedBuilder()
+                .setColor(0x0066CC)
+                .setTitle('📚 **BIG Policy Pulse v5.0 - User Manual**')
+                .setDescription(`Annual Premium Tracking System - ${getTimezone()}\n━━━━━━━━━━━━━━━━━━━━━`)
+                .addFields(
+                    { 
+                        name: '💰 **RECORDING SALES**', 
+                        value: 'Post in the sales channel:\n\n**Single Sale:**\n`$624 Americo IUL`\n`624$ Americo IUL` (both formats work)\n\n**Multiple Sales (Family/Couple):**\n`His: $4,000 NLG IUL Hers: $2,400 NLG IUL`\n`378$ HIS FORESTERS 378$ HERS FORESTERS`\n\n**Written Together (split credit):**\n`$2,400 IUL w/ @Maria` - 50/50\n`$2,400 IUL split 70/30 @Maria` - your share first\n\n**Monthly Premium:** `$85/mo Americo IUL` → $1,020 AP\n🤔 Unusual posts and reposts of the same sale get a ✅/✏️/❌ prompt before they count\n\n✅ Bot detects EACH sale separately\n💬 Normal posts just get emoji reactions - the bot only replies to ask about unusual ones'
+                    },
+                    { 
+                        name: '📊 **LEADERBOARD COMMANDS**', 
+                        value: '**View AP Rankings:**\n`!leaderboard` - Current AP rankings\n`!leaderboard weekly` - Weekly AP rankings\n`!leaderboard monthly` - Monthly AP rankings\n`!leaderboard monthly by carrier` - AP by carrier\n`!leaderboard weekly by product` - AP by product\n`!lb weekly product IUL` - Rankings for one product\n`!lb monthly carrier Americo` - Rankings for one carrier\n`!lb weekly teams` - Team vs team\n`!lb monthly team <name>` - Rankings inside one team\n`!teams` - Teams and their agents\n\n**Past Periods:**\n`!leaderboard yesterday` / `lastweek` / `lastmonth`\n`!leaderboard 2025-11-14` - A past day\n`!leaderboard week 2025-W44` - A past week\n`!leaderboard 2025-10` - A past month\n`!archive [daily|weekly|monthly]` - List archived periods\n\n**Aliases:**\n`!lb` - Shortcut for leaderboard\n`!ap` - Same as leaderboard\n`!rankings` - Same as leaderboard'
+                    },
+                    {
+                        name: '📈 **PERSONAL STATS**',
+                        value: '`!mystats` - View all your statistics and rankings\n`!catalog` - Carriers and products the bot recognizes'
+                    },
+                    {
+                        name: '🧾 **POLICY STATUS**',
+                        value: 'Reply `issued`, `paid`, `declined` or `chargeback` to your sale post to update it (📄 💵 ❌ ↩️)\n`!lb monthly issued` / `!lb weekly paid` - Rank only issued or paid policies\n`!status <id>` - A sale\'s status history\n`!status <id[,id]> <status> [note]` - Set any status *(Admin)*\n`!config monthlyfinal issued|paid` - Monthly final ranks on issued AP *(Admin)*'
+                    },
+                    {
+                        name: '⭐ **EMOJI REACTIONS**',
+                        value: '✅ Sale recorded\n💰 Money earned\n🔥 Total >$1,000\n🚀 Total >$5,000\n⭐ 3+ policies in one message\n🤝 Credit split with co-writers\n✏️ Sale corrected after editing the post\n❌ Edited post no longer has a sale\n\n🗑️ Deleting a sale post removes it from the leaderboard'
+                    },
+                    {
+                        name: '⏰ **AUTOMATIC FEATURES**',
+                        value: '• AP leaderboard at 9am, 12pm, 3pm, 6pm, 9pm (server timezone)\n• 10:55 PM: Daily Final recap - top sale, personal records, week/month to date\n• Sundays 10:55 PM: Weekly FINAL\n• Last day 10:55 PM: Monthly FINAL\n• Admins can change these with `!schedule`\n• **GitHub sync:** Every 3 hours + Daily at 10:55 PM\n• **Backups:** Daily at 11:59 PM to every configured target'
+                    },
+                    {
+                        name: '🔧 **ADMIN COMMANDS**',
+                        value: '`!sales @member [YYYY-MM-DD]` - List sales with their ids\n`!addsale @member <amount> [YYYY-MM-DD] [policy]` - Credit a missed sale\n`!removesale <id> [reason]` - Remove a cancelled/duplicate sale\n`!adjust <id> <amount> [policy]` - Fix a sale amount or policy\n`!transfer <id> @member` - Move a sale to another agent\n`!audit [n]` - Latest admin changes\n`!goal set <period> <amount> [@member|team|default]` - Set an AP goal\n`!goal clear <period> [@member|team|default]` - Remove a goal\n`!team create <name> [@role]` - Create a team (by role or members)\n`!team add|remove <name> @member` - Team membership\n`!team manager <name> @member` · `!team role <name> @role` · `!team delete <name>` · `!team sync`\n`!catalog add|alias carrier|product ...` - Manage carrier/product aliases\n*(Admin only)*'
+                    },
+                    {
+                        name: '🗄️ **DATA & BACKUPS**',
+                        value: '`!sync` - Force GitHub sync\n`!catchup` - Record sales missed while the bot was offline\n`!recompute [channel [days]]` - Rebuild totals from the ledger or channel history\n`!backups` - List backups · `!backups now` · `!backups restore <target> <id>`\n`!export [month|2025-10|from..to] [agent @member] [team <name>] [carrier <name>]` - CSV of sales + per-agent totals\n*(Admin only)*'
+                    },
+                    {
+                        name: '⚙️ **SERVER SETUP**',
+                        value: '`!config` - This server\'s settings\n`!config sales add|remove #channel` - Channels where sales are posted\n`!config leaderboard #channel` · `!config adminchannel #channel`\n`!config adminrole @role` - Role allowed to use admin commands\n`!config backups #channel` - Post the daily backup file there\n`!config timezone America/New_York` - Server timezone\n`!config bounds 100 25000` - AP range counted without a prompt\n`!config duplicates 24` - Hours a repeated sale is held as a repost\n`!schedule` - Scheduled posts · `!schedule add leaderboard weekly 5pm fri [#channel]`\n`!schedule edit <id> 8am,4pm` · `!schedule pause|resume|remove|run <id>`\n*(Admin only - each server keeps its own sales)*'
                     }
+                )
+                .setFooter({ text: '💼 BIG - v5.0 with GitHub Auto-Sync' })
+                .setTimestamp();
+            
+            await message.channel.send({ embeds: [helpEmbed] });
+            break;
+
+        case 'ping':
+            await message.reply('🏓 Pong! Bot is working correctly.');
+            break;
+
+        case 'timezone':
+        case 'tz':
+            const now = new Date();
+            const utcTime = now.toLocaleString('en-US', { 
+                timeZone: 'UTC', 
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit', 
+                minute: '2-digit', 
+                hour12: true 
+            });
+            const timezone = getTimezone();
+            const localTime = now.toLocaleString('en-US', { 
+                timeZone: timezone, 
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit', 
+                minute: '2-digit', 
+                hour12: true,
+                timeZoneName: 'short'
+            });
+            
+            const tzEmbed = new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle('🌍 Timezone Information')
+                .setDescription(`**Local Time:** ${localTime}\n**UTC Time:** ${utcTime}\n**Server Timezone:** ${timezone}\n\nScheduled posts run in ${timezone} unless they set their own (\`!schedule\`)`)
+                .setTimestamp();
+            
+            await message.channel.send({ embeds: [tzEmbed] });
+            break;
+    }
+}
+
+// Handle messages
+client.on('messageCreate', message => runInGuild(message.guildId, async () => {
+    try {
+        if (message.author.bot) return;
+
+        // Check if it's one of this server's sales channels
+        if (isSalesChannel(message.channel.id)) {
+            if (currentStore().caughtUp) {
+                salesData.lastProcessedMessageId = message.id;
+            }
+            updateTeamRoster(message.member);
+            claimLegacyRecords(message.author);
+
+            // "issued" / "paid" / "declined" in reply to a sale post
+            if (await handleStatusReply(message)) return;
+
+            // Catch-up on startup may have recorded it already
+            if (!isMessageRecorded(message.id) && !salesData.saleReviews[message.id]) {
+                const sales = await processSalePost(message);
+                if (sales.length > 0) {
+                    await announceGoalCrossings();
                 }
-                break;
-
-            case 'help':
-            case 'commands':
-                const helpEmbed = new EmbedBuilder()
-                    .setColor(0x0066CC)
-                    .setTitle('📚 **BIG Policy Pulse v5.0 - User Manual**')
-                    .setDescription('Annual Premium Tracking System - Pacific Time Zone\n━━━━━━━━━━━━━━━━━━━━━')
-                    .addFields(
-                        { 
-                            name: '💰 **RECORDING SALES**', 
-                            value: 'Post in the sales channel:\n\n**Single Sale:**\n`$624 Americo IUL`\n`624$ Americo IUL` (both formats work)\n\n**Multiple Sales (Family/Couple):**\n`His: $4,000 NLG IUL Hers: $2,400 NLG IUL`\n`378$ HIS FORESTERS 378$ HERS FORESTERS`\n\n✅ Bot detects EACH sale separately\n🔇 Bot only reacts with emojis (no messages)'
-                        },
-                        { 
-                            name: '📊 **LEADERBOARD COMMANDS**', 
-                            value: '**View AP Rankings:**\n`!leaderboard` - Current AP rankings\n`!leaderboard weekly` - Weekly AP rankings\n`!leaderboard monthly` - Monthly AP rankings\n\n**Aliases:**\n`!lb` - Shortcut for leaderboard\n`!ap` - Same as leaderboard\n`!rankings` - Same as leaderboard'
-                        },
-                        {
-                            name: '📈 **PERSONAL STATS**',
-                            value: '`!mystats` - View all your statistics and rankings'
-                        },
-                        {
-                            name: '⭐ **EMOJI REACTIONS**',
-                            value: '✅ Sale recorded\n💰 Money earned\n🔥 Total >$1,000\n🚀 Total >$5,000\n⭐ 3+ policies in one message'
-                        },
-                        {
-                            name: '⏰ **AUTOMATIC FEATURES**',
-                            value: '• Every 3 hours: AP leaderboard (9am, 12pm, 3pm, 6pm, 9pm Pacific)\n• 10:55 PM Pacific: Daily Final + Weekly/Monthly Progress\n• Sundays 10:55 PM: Weekly FINAL\n• Last day 10:55 PM: Monthly FINAL\n• **GitHub sync:** Every 3 hours + Daily at 10:55 PM'
-                        },
-                        {
-                            name: '🔧 **ADMIN COMMANDS**',
-                            value: '`!sync` - Force GitHub sync (Admin only)'
-                        }
-                    )
-                    .setFooter({ text: '💼 BIG - v5.0 with GitHub Auto-Sync' })
-                    .setTimestamp();
-                
-                await message.channel.send({ embeds: [helpEmbed] });
-                break;
-
-            case 'ping':
-                await message.reply('🏓 Pong! Bot is working correctly.');
-                break;
-
-            case 'timezone':
-            case 'tz':
-                const now = new Date();
-                const utcTime = now.toLocaleString('en-US', { 
-                    timeZone: 'UTC', 
-                    month: '2-digit',
-                    day: '2-digit',
-                    hour: '2-digit', 
-                    minute: '2-digit', 
-                    hour12: true 
-                });
-                const pacificTime = now.toLocaleString('en-US', { 
-                    timeZone: 'America/Los_Angeles', 
-                    month: '2-digit',
-                    day: '2-digit',
-                    hour: '2-digit', 
-                    minute: '2-digit', 
-                    hour12: true 
-                });
-                
-                const isDSTNow = isDST();
-                const tzEmbed = new EmbedBuilder()
-                    .setColor(0x00FF00)
-                    .setTitle('🌍 Timezone Information')
-                    .setDescription(`**Pacific Time:** ${pacificTime}\n**UTC Time:** ${utcTime}\n**Current Timezone:** ${isDSTNow ? 'PDT (UTC-7)' : 'PST (UTC-8)'}\n\nAll scheduled posts run in Pacific Time!`)
-                    .setTimestamp();
-                
-                await message.channel.send({ embeds: [tzEmbed] });
-                break;
+            }
         }
+
+        // Commands
+        if (message.content.startsWith('!')) {
+            const args = message.content.slice(1).trim().split(/ +/);
+            const command = args.shift().toLowerCase();
+
+            await runCommand(message, command, args);
+        }
+    } catch (error) {
+        console.error('❌ Error handling message:', error);
     }
-});
+}, { create: message.content.startsWith('!') }));
+
+// ========================================
+// SLASH COMMANDS
+// ========================================
+// Same commands as the ! prefix, with typed options. Each interaction is turned
+// into the argument list the prefix command would get and runs through
+// runCommand, so both interfaces always behave the same. Admin commands are
+// visible to everyone: the admin role (!config adminrole) can't be expressed
+// as a Discord permission, so isAdmin in runCommand decides.
+
+const SLASH_COMMANDS = [
+    new SlashCommandBuilder()
+        .setName('leaderboard')
+        .setDescription('AP leaderboard')
+        .addStringOption(option => option.setName('period').setDescription('Period to rank')
+            .addChoices(
+                { name: 'Today', value: 'daily' },
+                { name: 'This week', value: 'weekly' },
+                { name: 'This month', value: 'monthly' },
+                { name: 'Yesterday', value: 'yesterday' },
+                { name: 'Last week', value: 'lastweek' },
+                { name: 'Last month', value: 'lastmonth' }
+            ))
+        .addStringOption(option => option.setName('date').setDescription('Past period: 2025-11-14, 2025-W44 or 2025-10'))
+        .addStringOption(option => option.setName('by').setDescription('Break AP down by team, carrier or product')
+            .addChoices({ name: 'Team', value: 'team' }, { name: 'Carrier', value: 'carrier' }, { name: 'Product', value: 'product' }))
+        .addStringOption(option => option.setName('team').setDescription('Only this team\'s agents'))
+        .addStringOption(option => option.setName('carrier').setDescription('Only this carrier'))
+        .addStringOption(option => option.setName('product').setDescription('Only this product'))
+        .addStringOption(option => option.setName('basis').setDescription('Rank submitted AP (default) or only issued/paid policies')
+            .addChoices({ name: 'Submitted', value: 'submitted' }, { name: 'Issued', value: 'issued' }, { name: 'Paid', value: 'paid' })),
+    new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Personal statistics (only you can see them)')
+        .addUserOption(option => option.setName('member').setDescription('Another agent')),
+    new SlashCommandBuilder()
+        .setName('archive')
+        .setDescription('List archived periods')
+        .addStringOption(option => option.setName('period').setDescription('Period type')
+            .addChoices({ name: 'Days', value: 'daily' }, { name: 'Weeks', value: 'weekly' }, { name: 'Months', value: 'monthly' })),
+    new SlashCommandBuilder().setName('catalog').setDescription('Carriers and products the bot recognizes'),
+    new SlashCommandBuilder()
+        .setName('goals')
+        .setDescription('Team and agent AP goals (admins can set or clear them)')
+        .addStringOption(option => option.setName('action').setDescription('What to do')
+            .addChoices({ name: 'Show', value: 'list' }, { name: 'Set', value: 'set' }, { name: 'Clear', value: 'clear' }))
+        .addStringOption(option => option.setName('period').setDescription('Goal period')
+            .addChoices({ name: 'Daily', value: 'daily' }, { name: 'Weekly', value: 'weekly' }, { name: 'Monthly', value: 'monthly' }))
+        .addNumberOption(option => option.setName('amount').setDescription('Goal AP').setMinValue(1))
+        .addUserOption(option => option.setName('member').setDescription('Agent (default: every agent)'))
+        .addBooleanOption(option => option.setName('team').setDescription('Goal for the whole team')),
+    new SlashCommandBuilder().setName('help').setDescription('User manual'),
+    new SlashCommandBuilder().setName('timezone').setDescription('Server/UTC time information'),
+    new SlashCommandBuilder().setName('ping').setDescription('Check the bot is working'),
+    new SlashCommandBuilder()
+        .setName('addsale')
+        .setDescription('Credit a sale to an agent')
+        .addUserOption(option => option.setName('member').setDescription('Agent').setRequired(true))
+        .addNumberOption(option => option.setName('amount').setDescription('Annual premium').setRequired(true).setMinValue(0.01))
+        .addStringOption(option => option.setName('date').setDescription('Date YYYY-MM-DD in the server timezone (default: now)'))
+        .addStringOption(option => option.setName('policy').setDescription('Carrier and product, e.g. Americo IUL')),
+    new SlashCommandBuilder()
+        .setName('removesale')
+        .setDescription('Remove a cancelled or duplicate sale')
+        .addIntegerOption(option => option.setName('id').setDescription('Sale id').setRequired(true))
+        .addStringOption(option => option.setName('reason').setDescription('Why it is removed')),
+    new SlashCommandBuilder()
+        .setName('adjust')
+        .setDescription('Fix the amount or policy of a sale')
+        .addIntegerOption(option => option.setName('id').setDescription('Sale id').setRequired(true))
+        .addNumberOption(option => option.setName('amount').setDescription('Correct annual premium').setRequired(true).setMinValue(0.01))
+        .addStringOption(option => option.setName('policy').setDescription('Correct carrier and product')),
+    new SlashCommandBuilder()
+        .setName('transfer')
+        .setDescription('Move a sale to another agent')
+        .addIntegerOption(option => option.setName('id').setDescription('Sale id').setRequired(true))
+        .addUserOption(option => option.setName('member').setDescription('Agent who gets the sale').setRequired(true)),
+    new SlashCommandBuilder()
+        .setName('sales')
+        .setDescription('List an agent\'s sales with their ids')
+        .addUserOption(option => option.setName('member').setDescription('Agent').setRequired(true))
+        .addStringOption(option => option.setName('date').setDescription('Date YYYY-MM-DD in the server timezone')),
+    new SlashCommandBuilder()
+        .setName('audit')
+        .setDescription('Latest admin changes')
+        .addIntegerOption(option => option.setName('count').setDescription('How many entries').setMinValue(1).setMaxValue(25)),
+    new SlashCommandBuilder()
+        .setName('status')
+        .setDescription('Show or change where a policy stands (issued, paid, declined, chargeback)')
+        .addStringOption(option => option.setName('ids').setDescription('Sale id, or several: 12,13').setRequired(true))
+        .addStringOption(option => option.setName('status').setDescription('New status (leave empty to see the history)')
+            .addChoices(...Object.entries(SALE_STATUSES).map(([value, status]) => ({ name: status.label, value }))))
+        .addStringOption(option => option.setName('note').setDescription('Why, e.g. carrier declined - health')),
+    new SlashCommandBuilder()
+        .setName('recompute')
+        .setDescription('Rebuild totals from the ledger or channel history')
+        .addStringOption(option => option.setName('source').setDescription('What to rebuild from')
+            .addChoices(
+                { name: 'Ledger', value: 'ledger' },
+                { name: 'Sales channel history', value: 'channel' },
+                { name: 'Confirm pending rebuild', value: 'confirm' }
+            ))
+        .addIntegerOption(option => option.setName('days').setDescription('Channel history to read (default: this month)').setMinValue(1)),
+    new SlashCommandBuilder()
+        .setName('team')
+        .setDescription('Teams and their agents (admins can manage them)')
+        .addStringOption(option => option.setName('action').setDescription('What to do')
+            .addChoices(
+                { name: 'List', value: 'list' },
+                { name: 'Create', value: 'create' },
+                { name: 'Add member', value: 'add' },
+                { name: 'Remove member', value: 'remove' },
+                { name: 'Set manager', value: 'manager' },
+                { name: 'Link role', value: 'role' },
+                { name: 'Delete', value: 'delete' },
+                { name: 'Refresh roles', value: 'sync' }
+            ))
+        .addStringOption(option => option.setName('name').setDescription('Team name'))
+        .addUserOption(option => option.setName('member').setDescription('Agent or manager'))
+        .addRoleOption(option => option.setName('role').setDescription('Discord role for the team')),
+    new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('Server settings: sales channels, leaderboard/backup channels, admin role, timezone')
+        .addStringOption(option => option.setName('setting').setDescription('What to change')
+            .addChoices(
+                { name: 'Show', value: 'show' },
+                { name: 'Add sales channel', value: 'sales-add' },
+                { name: 'Remove sales channel', value: 'sales-remove' },
+                { name: 'Leaderboard channel', value: 'leaderboard' },
+                { name: 'Admin channel', value: 'adminchannel' },
+                { name: 'Backup channel', value: 'backups' },
+                { name: 'Monthly final basis', value: 'monthlyfinal' },
+                { name: 'Sale bounds', value: 'bounds' },
+                { name: 'Duplicate window (hours)', value: 'duplicates' },
+                { name: 'Admin role', value: 'adminrole' },
+                { name: 'Timezone', value: 'timezone' }
+            ))
+        .addChannelOption(option => option.setName('channel').setDescription('Channel for the setting'))
+        .addRoleOption(option => option.setName('role').setDescription('Role for the setting'))
+        .addStringOption(option => option.setName('value').setDescription('Timezone (America/New_York), submitted|issued|paid, min max AP, hours, or none/off')),
+    new SlashCommandBuilder()
+        .setName('schedule')
+        .setDescription('Scheduled leaderboard posts: list, add, change, pause')
+        .addStringOption(option => option.setName('action').setDescription('What to do')
+            .addChoices(
+                { name: 'List', value: 'list' },
+                { name: 'Add', value: 'add' },
+                { name: 'Change', value: 'edit' },
+                { name: 'Pause', value: 'pause' },
+                { name: 'Resume', value: 'resume' },
+                { name: 'Remove', value: 'remove' },
+                { name: 'Post now', value: 'run' }
+            ))
+        .addIntegerOption(option => option.setName('id').setDescription('Schedule id (see the list)'))
+        .addStringOption(option => option.setName('type').setDescription('What to post')
+            .addChoices({ name: 'Leaderboard', value: 'leaderboard' }, { name: 'Final rankings', value: 'final' }, { name: 'Daily recap', value: 'recap' }))
+        .addStringOption(option => option.setName('period').setDescription('Period to rank')
+            .addChoices({ name: 'Daily', value: 'daily' }, { name: 'Weekly', value: 'weekly' }, { name: 'Monthly', value: 'monthly' }))
+        .addStringOption(option => option.setName('when').setDescription('9am,3pm · 10:55pm sun · 8:30am weekdays · cron expression'))
+        .addChannelOption(option => option.setName('channel').setDescription('Channel (default: leaderboard channel)'))
+        .addStringOption(option => option.setName('timezone').setDescription('IANA timezone, or default for the server\'s')),
+    new SlashCommandBuilder().setName('catchup').setDescription('Record sales missed while the bot was offline'),
+    new SlashCommandBuilder().setName('sync').setDescription('Force GitHub sync'),
+    new SlashCommandBuilder()
+        .setName('backups')
+        .setDescription('List backups, back up now or restore a snapshot')
+        .addStringOption(option => option.setName('action').setDescription('What to do')
+            .addChoices({ name: 'List', value: 'list' }, { name: 'Back up now', value: 'now' }, { name: 'Restore', value: 'restore' }))
+        .addStringOption(option => option.setName('target').setDescription('Where the backup is')
+            .addChoices(...Object.keys(backupTargets).map(name => ({ name, value: name }))))
+        .addStringOption(option => option.setName('id').setDescription('Backup id (see the list)'))
+        .addBooleanOption(option => option.setName('confirm').setDescription('Really replace the current data')),
+    new SlashCommandBuilder()
+        .setName('export')
+        .setDescription('CSV of sales and per-agent totals for a period or date range')
+        .addStringOption(option => option.setName('range').setDescription('month, lastmonth, 2025-10, 2025-W44, 2025-11-14 or 2025-10-01..2025-10-31'))
+        .addUserOption(option => option.setName('member').setDescription('Only this agent'))
+        .addStringOption(option => option.setName('team').setDescription('Only this team\'s agents'))
+        .addStringOption(option => option.setName('carrier').setDescription('Only this carrier'))
+].map(command => command.toJSON());
+
+// Personal and admin answers are only shown to whoever ran the command
+const EPHEMERAL_COMMANDS = ['stats', 'help', 'timezone', 'catalog', 'addsale', 'removesale', 'adjust', 'transfer', 'sales', 'audit', 'status', 'recompute', 'catchup', 'sync', 'config', 'schedule', 'backups', 'export'];
+
+// Argument list the equivalent ! command would receive
+function getSlashArgs(interaction) {
+    const options = interaction.options;
+    const words = text => (text ? text.trim().split(/ +/) : []);
+    const member = options.getUser('member');
+    const mention = member ? [`<@${member.id}>`] : [];
+
+    switch (interaction.commandName) {
+        case 'leaderboard': {
+            const args = [options.getString('date') || options.getString('period') || 'daily'];
+            if (options.getString('by')) {
+                args.push('by', options.getString('by'));
+            } else if (options.getString('team')) {
+                args.push('team', ...words(options.getString('team')));
+            } else if (options.getString('carrier')) {
+                args.push('carrier', ...words(options.getString('carrier')));
+            } else if (options.getString('product')) {
+                args.push('product', ...words(options.getString('product')));
+            }
+            if (STATUS_VIEWS[options.getString('basis')]) {
+                args.push(options.getString('basis'));
+            }
+            return args;
+        }
+        case 'archive':
+            return [options.getString('period') || 'monthly'];
+        case 'team': {
+            const args = [options.getString('action') || 'list', ...words(options.getString('name'))];
+            const role = options.getRole('role');
+            if (role) args.push(`<@&${role.id}>`);
+            return [...args, ...mention];
+        }
+        case 'config': {
+            const [setting, op] = (options.getString('setting') || 'show').split('-');
+            const args = op ? [setting, op] : [setting];
+            const channel = options.getChannel('channel');
+            const role = options.getRole('role');
+            if (channel) args.push(`<#${channel.id}>`);
+            if (role) args.push(`<@&${role.id}>`);
+            return [...args, ...words(options.getString('value'))];
+        }
+        case 'export': {
+            const args = [options.getString('range') || 'month'];
+            if (member) args.push('agent', ...mention);
+            if (options.getString('team')) args.push('team', ...words(options.getString('team')));
+            if (options.getString('carrier')) args.push('carrier', ...words(options.getString('carrier')));
+            return args;
+        }
+        case 'backups': {
+            const args = [options.getString('action') || 'list'];
+            if (options.getString('target')) args.push(options.getString('target'));
+            if (options.getString('id')) args.push(options.getString('id'));
+            if (options.getBoolean('confirm')) args.push('confirm');
+            return args;
+        }
+        case 'schedule': {
+            const args = [options.getString('action') || 'list'];
+            if (options.getInteger('id')) args.push(String(options.getInteger('id')));
+            if (options.getString('type')) args.push(options.getString('type'));
+            if (options.getString('period')) args.push(options.getString('period'));
+            args.push(...words(options.getString('when')));
+            const channel = options.getChannel('channel');
+            if (channel) args.push(`<#${channel.id}>`);
+            if (options.getString('timezone')) args.push('tz', options.getString('timezone'));
+            return args;
+        }
+        case 'goals': {
+            const action = options.getString('action') || 'list';
+            if (action === 'list') return ['list'];
+            const args = [action, options.getString('period') || ''];
+            if (action === 'set') args.push(String(options.getNumber('amount') || ''));
+            args.push(...(mention.length ? mention : [options.getBoolean('team') ? 'team' : 'default']));
+            return args;
+        }
+        case 'addsale':
+            return [...mention, String(options.getNumber('amount')), ...words(options.getString('date')), ...words(options.getString('policy'))];
+        case 'removesale':
+            return [String(options.getInteger('id')), ...words(options.getString('reason'))];
+        case 'adjust':
+            return [String(options.getInteger('id')), String(options.getNumber('amount')), ...words(options.getString('policy'))];
+        case 'transfer':
+            return [String(options.getInteger('id')), ...mention];
+        case 'sales':
+            return [...mention, ...words(options.getString('date'))];
+        case 'audit':
+            return options.getInteger('count') ? [String(options.getInteger('count'))] : [];
+        case 'status':
+            return [options.getString('ids').replace(/\s+/g, ''), ...words(options.getString('status')), ...(options.getString('status') ? words(options.getString('note')) : [])];
+        case 'recompute': {
+            const args = [options.getString('source') || 'ledger'];
+            if (options.getInteger('days')) args.push(String(options.getInteger('days')));
+            return args;
+        }
+        default:
+            return [];
+    }
+}
 
-// Helper function for DST check
-function isDST(date = new Date()) {
-    const jan = new Date(date.getFullYear(), 0, 1).getTimezoneOffset();
-    const jul = new Date(date.getFullYear(), 6, 1).getTimezoneOffset();
-    return Math.max(jan, jul) !== date.getTimezoneOffset();
+// Message-like object for runCommand: reply() and channel.send() answer the interaction
+function createInteractionContext(interaction, ephemeral) {
+    let answered = false;
+    const respond = async payload => {
+        const body = typeof payload === 'string' ? { content: payload } : { ...payload };
+        if (!answered) {
+            answered = true;
+            return interaction.editReply(body);
+        }
+        return interaction.followUp(ephemeral ? { ...body, flags: MessageFlags.Ephemeral } : body);
+    };
+    // Same shape as message.mentions (Collections with first())
+    const mentioned = (entry) => {
+        const collection = new Map(entry ? [[entry.id, entry]] : []);
+        collection.first = () => entry || undefined;
+        return collection;
+    };
+
+    return {
+        id: interaction.id,
+        author: interaction.user,
+        member: interaction.member,
+        guild: interaction.guild,
+        channel: { id: interaction.channelId, send: respond },
+        mentions: {
+            users: mentioned(interaction.options.getUser('member')),
+            roles: mentioned(interaction.options.getRole('role')),
+            channels: mentioned(interaction.options.getChannel('channel'))
+        },
+        reply: respond,
+        answered: () => answered
+    };
+}
+
+client.on('interactionCreate', interaction => runInGuild(interaction.guildId, async () => {
+    // ✅ / ✏️ / ❌ on a sale confirmation prompt
+    if ((interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith('sale-')) {
+        try {
+            await (interaction.isButton() ? handleSaleReviewButton(interaction) : handleSaleReviewModal(interaction));
+        } catch (error) {
+            console.error('❌ Error handling sale confirmation:', error);
+        }
+        return;
+    }
+    if (!interaction.isChatInputCommand()) return;
+
+    const ephemeral = EPHEMERAL_COMMANDS.includes(interaction.commandName);
+    try {
+        await interaction.deferReply(ephemeral ? { flags: MessageFlags.Ephemeral } : {});
+        const context = createInteractionContext(interaction, ephemeral);
+        await runCommand(context, interaction.commandName, getSlashArgs(interaction));
+
+        // Admin checks in runCommand stay silent - say something instead of "thinking..."
+        if (!context.answered()) {
+            await interaction.editReply({ content: '⛔ You don\'t have permission to use this command' });
+        }
+    } catch (error) {
+        console.error(`❌ Error handling /${interaction.commandName}:`, error);
+        const body = { content: '❌ Something went wrong running that command' };
+        if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(body).catch(() => {});
+        }
+    }
+}));
+
+async function registerSlashCommands(guild) {
+    try {
+        await guild.commands.set(SLASH_COMMANDS);
+        console.log(`⚡ Slash commands registered in ${guild.name}`);
+    } catch (error) {
+        console.error(`❌ Error registering slash commands in ${guild.name}:`, error.message);
+    }
 }
 
+client.on('guildCreate', registerSlashCommands);
+
+// Handle edited sale messages - reverse the old sales and record the new ones
+client.on('messageUpdate', (oldMessage, newMessage) => runInGuild(newMessage.guildId, async () => {
+    try {
+        if (newMessage.partial) {
+            newMessage = await newMessage.fetch();
+        }
+        if (newMessage.author.bot) return;
+        if (!isSalesChannel(newMessage.channel.id)) return;
+
+        // Embed/link previews also fire messageUpdate - ignore when the text didn't change
+        if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+
+        // Its old amount is in the opening balances, not the ledger - recording the
+        // new one would count the sale twice, so an admin decides instead
+        if (isPreLedgerMessage(newMessage)) {
+            console.log(`⚠️ Sale post from before the ledger edited by ${newMessage.author.username} - not recounted`);
+            const adminChannel = getConfiguredChannel('adminChannelId');
+            if (adminChannel) {
+                await adminChannel.send({
+                    content: `✏️ **${newMessage.author.username}** edited a sale post from before the ledger started (${newMessage.url}) - it was not recounted, its old amount stays in the opening balances.\nNow reads: ${newMessage.content}`.slice(0, 2000),
+                    allowedMentions: { parse: [] }
+                });
+            }
+            return;
+        }
+
+        const previous = getSalesByMessage(newMessage.id);
+        const parsed = getSaleCredits(newMessage);
+
+        const unchanged = previous.length === parsed.length &&
+            previous.every((sale, i) => sale.userId === parsed[i].userId && sale.amount === parsed[i].amount && sale.policyType === parsed[i].policyType);
+        if (unchanged) return;
+
+        // The new text gets its own answer if it needs one
+        await dropSaleReview(newMessage.id);
+        previous.forEach(sale => voidSale(sale, 'message edited'));
+        const reparsed = parseMultipleSales(newMessage.content, false).filter(sale => sale.amount > 0);
+        const issues = reviewParsedSales(reparsed, newMessage);
+        if (issues.length > 0) {
+            await saveData();
+            await requestSaleConfirmation(newMessage, reparsed, issues);
+            return;
+        }
+
+        const recorded = recordMessageSales(newMessage);
+        // Fixing a typo in the post doesn't send an issued policy back to submitted
+        recorded.forEach((sale, i) => Object.assign(sale, inheritStatus(previous[i])));
+        await saveData();
+
+        const oldTotal = previous.reduce((sum, sale) => sum + sale.amount, 0);
+        const newTotal = recorded.reduce((sum, sale) => sum + sale.amount, 0);
+        console.log(`✏️ Sale message edited by ${newMessage.author.username}: $${oldTotal} → $${newTotal} (${previous.length} → ${recorded.length} policies)`);
+
+        if (recorded.length > 0) {
+            if (previous.length === 0) {
+                await newMessage.react('✅');
+                await newMessage.react('💰');
+            }
+            await newMessage.react('✏️');
+        } else {
+            // Nothing left to count - drop our reactions
+            for (const reaction of newMessage.reactions.cache.values()) {
+                if (reaction.me) {
+                    await reaction.users.remove(client.user.id);
+                }
+            }
+            await newMessage.react('❌');
+        }
+    } catch (error) {
+        console.error('❌ Error handling edited message:', error);
+    }
+}, { create: false }));
+
+// Handle deleted sale messages - reverse every sale attributed to them
+client.on('messageDelete', message => runInGuild(message.guildId, async () => {
+    try {
+        if (!isSalesChannel(message.channelId)) return;
+
+        if (await dropSaleReview(message.id)) {
+            await saveData();
+        }
+        const previous = getSalesByMessage(message.id);
+        if (previous.length === 0) return;
+
+        previous.forEach(sale => voidSale(sale, 'message deleted'));
+        await saveData();
+
+        const total = previous.reduce((sum, sale) => sum + sale.amount, 0);
+        console.log(`🗑️ Sale message deleted: reversed ${previous.length} policies, $${total} AP (${previous[0].username})`);
+    } catch (error) {
+        console.error('❌ Error handling deleted message:', error);
+    }
+}, { create: false }));
+
 // Error handling
 client.on('error', error => {
     console.error('❌ Bot error:', error);
@@ -981,9 +6285,18 @@ async function start() {
     console.log('');
     console.log('⏳ Starting AP tracking system...');
     console.log(`📁 Using data directory: ${DATA_DIR}`);
+    console.log(`🗄️ Storage backend: ${STORAGE_BACKEND}`);
     console.log(`🌐 Server port: ${PORT}`);
     
-    await loadData();
+    await loadGuildConfigs();
+    // Before the data - upgrading old files resolves carriers/products
+    await loadCatalog();
+    homeStore.ready = loadData();
+    try {
+        await homeStore.ready;
+    } catch (error) {
+        process.exit(1);
+    }
     
     try {
         await client.login(process.env.DISCORD_TOKEN);
@@ -997,4 +6310,30 @@ async function start() {
     }
 }
 
-start();
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    loadCatalog,
+    setReadOnly,
+    parsePremiumMode,
+    scoreSaleText,
+    parseMultipleSales,
+    parseSaleSplit,
+    getSaleCredits,
+    reviewParsedSales,
+    findDuplicateSales,
+    addSale,
+    loadGuildConfigs,
+    getGuildConfigs: () => guildConfigs,
+    runInGuild,
+    loadData,
+    saveData,
+    getSalesData: () => currentStore().data,
+    checkResets,
+    computeAggregatesFromLedger,
+    diffAggregates,
+    formatAggregateDiff,
+    applyAggregates
+};
@@ -0,0 +1,112 @@
+// ========================================
+// RECOMPUTE CLI
+// ========================================
+// Rebuilds daily/weekly/monthly/allTime (and archived periods) from the sale
+// ledger without starting the bot, and prints what would change.
+//
+//   node recompute.js                      -> show the diff only (nothing is written,
+//                                             not even schema upgrades)
+//   node recompute.js --apply              -> write the rebuilt totals
+//   node recompute.js --backup <file>      -> first restore ledger records that
+//                                             only exist in a backup file
+//   node recompute.js --guild <id>         -> another server's data (default: the
+//                                             home server's sales.json)
+//
+// Stop the bot before using --apply, otherwise its next save overwrites the result.
+const fs = require('fs').promises;
+const {
+    loadCatalog,
+    setReadOnly,
+    loadGuildConfigs,
+    getGuildConfigs,
+    runInGuild,
+    loadData,
+    saveData,
+    getSalesData,
+    checkResets,
+    computeAggregatesFromLedger,
+    diffAggregates,
+    formatAggregateDiff,
+    applyAggregates
+} = require('./index');
+
+async function mergeBackupLedger(file) {
+    const backup = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!Array.isArray(backup.sales)) {
+        throw new Error(`${file} has no sale ledger`);
+    }
+
+    const salesData = getSalesData();
+    const known = new Set(salesData.sales.map(sale => sale.id));
+    const missing = backup.sales.filter(sale => !known.has(sale.id));
+
+    salesData.sales.push(...missing);
+    salesData.sales.sort((a, b) => a.id - b.id);
+    salesData.saleSeq = salesData.sales.reduce((max, sale) => Math.max(max, sale.id || 0), salesData.saleSeq || 0);
+
+    console.log(`📦 ${missing.length} ledger records restored from ${file}`);
+    return missing.length;
+}
+
+async function recompute(args) {
+    const apply = args.includes('--apply');
+    const backupIndex = args.indexOf('--backup');
+
+    let restored = 0;
+    if (backupIndex > -1) {
+        if (!args[backupIndex + 1]) {
+            throw new Error('--backup needs a file path');
+        }
+        restored = await mergeBackupLedger(args[backupIndex + 1]);
+    }
+
+    // Close any periods that ended while the bot was down before comparing
+    checkResets();
+    const rebuilt = computeAggregatesFromLedger();
+    const changes = diffAggregates(rebuilt);
+
+    console.log('');
+    if (changes.length === 0) {
+        console.log('✅ Stored totals already match the ledger');
+    } else {
+        console.log(`🧮 ${changes.length} agent totals differ from the ledger:`);
+        console.log(formatAggregateDiff(changes, Infinity));
+    }
+    console.log('');
+
+    if (!apply) {
+        if (changes.length > 0 || restored > 0) {
+            console.log('ℹ️ Rebuilt totals not saved - run again with --apply to write them');
+        }
+        return;
+    }
+
+    applyAggregates(rebuilt);
+    await saveData();
+    console.log(`✅ Rebuilt totals saved (${changes.length} agent totals updated)`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const guildIndex = args.indexOf('--guild');
+
+    setReadOnly(!args.includes('--apply'));
+    // Sales are matched to carriers and products while the data is upgraded
+    await loadCatalog();
+    await loadGuildConfigs();
+    if (guildIndex > -1) {
+        const guildId = args[guildIndex + 1];
+        if (!guildId || !getGuildConfigs()[guildId]) {
+            throw new Error('--guild needs a server id from guilds.json');
+        }
+        return runInGuild(guildId, () => recompute(args));
+    }
+
+    await loadData();
+    return recompute(args);
+}
+
+main().catch(error => {
+    console.error('❌ Recompute failed:', error.message);
+    process.exit(1);
+});
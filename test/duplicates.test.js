@@ -0,0 +1,68 @@
+// ========================================
+// DUPLICATE DETECTION TESTS
+// ========================================
+// findDuplicateSales against an in-memory ledger (nothing is saved).
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    setReadOnly,
+    parseMultipleSales,
+    findDuplicateSales,
+    addSale,
+    getGuildConfigs
+} = require('../index');
+
+setReadOnly(true);
+
+const HOUR = 3600000;
+const now = Date.now();
+
+function makeMessage(id, content, authorId = '111', createdAt = new Date(now)) {
+    return { id, content, createdAt, author: { id: authorId, username: authorId === '111' ? 'sam' : 'lee' } };
+}
+
+function duplicatesOf(message) {
+    return findDuplicateSales(message, parseMultipleSales(message.content, false)).map(sale => sale.messageId);
+}
+
+addSale('111', 'sam', 1020, 'Americo IUL', { messageId: 'OLD1', timestamp: new Date(now - 2 * HOUR) });
+addSale('111', 'sam', 900, 'MOO Term', { messageId: 'OLD2', timestamp: new Date(now - 30 * HOUR) });
+addSale('111', 'sam', 600, 'Americo IUL', {
+    messageId: 'OLD3',
+    timestamp: new Date(now - HOUR),
+    split: { share: 0.5, total: 1200, agents: [{ userId: '111', username: 'sam', share: 0.5 }, { userId: '222', username: 'maria', share: 0.5 }] }
+});
+
+test('the same agent, amount and product within the window is a duplicate', () => {
+    assert.deepStrictEqual(duplicatesOf(makeMessage('NEW1', '$1,020 Americo IUL')), ['OLD1']);
+});
+
+test('a different amount, product or agent is not a duplicate', () => {
+    assert.deepStrictEqual(duplicatesOf(makeMessage('NEW2', '$1,500 Americo IUL')), []);
+    assert.deepStrictEqual(duplicatesOf(makeMessage('NEW3', '$1,020 MOO Term')), []);
+    assert.deepStrictEqual(duplicatesOf(makeMessage('NEW4', '$1,020 Americo IUL', '333')), []);
+});
+
+test('sales older than the window are not duplicates', () => {
+    assert.deepStrictEqual(duplicatesOf(makeMessage('NEW5', '$900 MOO Term')), []);
+});
+
+test('an edited post is not a duplicate of itself', () => {
+    assert.deepStrictEqual(duplicatesOf(makeMessage('OLD1', '$1,020 Americo IUL')), []);
+});
+
+test('a split policy matches on its full AP for every agent on it', () => {
+    assert.deepStrictEqual(duplicatesOf(makeMessage('NEW6', '$1,200 Americo IUL')), ['OLD3']);
+    assert.deepStrictEqual(duplicatesOf(makeMessage('NEW7', '$1,200 Americo IUL', '222')), ['OLD3']);
+});
+
+test('the window follows the server\'s duplicate setting and "off" turns the check off', () => {
+    const config = getGuildConfigs()[null] = { duplicateWindowHours: 48 };
+    try {
+        assert.deepStrictEqual(duplicatesOf(makeMessage('NEW8', '$900 MOO Term')), ['OLD2']);
+        config.duplicateWindowHours = null;
+        assert.deepStrictEqual(duplicatesOf(makeMessage('NEW9', '$1,020 Americo IUL')), []);
+    } finally {
+        delete getGuildConfigs()[null];
+    }
+});
@@ -0,0 +1,123 @@
+// ========================================
+// SALE PARSING TESTS
+// ========================================
+// Premium modes, confidence scores and split credits, run with `npm test`.
+// index.js only starts the bot when run directly, so requiring it is safe;
+// setReadOnly keeps anything here from writing to data/.
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    setReadOnly,
+    parsePremiumMode,
+    scoreSaleText,
+    parseMultipleSales,
+    parseSaleSplit,
+    getSaleCredits,
+    reviewParsedSales
+} = require('../index');
+
+setReadOnly(true);
+
+const parse = text => parseMultipleSales(text, false);
+
+// A post as discord.js hands it over (only what the parser reads)
+function makeMessage(content, mentions = {}) {
+    return {
+        id: 'M1',
+        content,
+        author: { id: '111', username: 'sam' },
+        mentions: { users: new Map(Object.entries(mentions).map(([id, username]) => [id, { id, username }])) }
+    };
+}
+
+test('parsePremiumMode converts a mode written right after the amount', () => {
+    assert.deepStrictEqual(parsePremiumMode('/mo Americo IUL'), { mode: 'monthly', factor: 12, inferred: false, rest: 'Americo IUL' });
+    assert.strictEqual(parsePremiumMode(' quarterly Foresters').factor, 4);
+    assert.strictEqual(parsePremiumMode(' semi-annual Americo IUL').factor, 2);
+});
+
+test('parsePremiumMode lets an explicit AP or annual word win over modal words', () => {
+    const premium = parsePremiumMode(' AP IUL monthly draft');
+    assert.strictEqual(premium.mode, null);
+    assert.strictEqual(premium.factor, 1);
+    assert.strictEqual(parsePremiumMode(' annual premium, paid monthly').factor, 1);
+});
+
+test('parsePremiumMode only takes "ap" as annual right after the amount', () => {
+    const premium = parsePremiumMode(' Americo IUL monthly, ap pending');
+    assert.strictEqual(premium.mode, 'monthly');
+    assert.strictEqual(premium.inferred, true);
+});
+
+test('parsePremiumMode marks a mode found further along as inferred', () => {
+    const premium = parsePremiumMode(' Americo IUL monthly');
+    assert.strictEqual(premium.mode, 'monthly');
+    assert.strictEqual(premium.inferred, true);
+});
+
+test('modal premiums are recorded as AP', () => {
+    const [sale] = parse('$85/mo Americo IUL');
+    assert.strictEqual(sale.amount, 1020);
+    assert.deepStrictEqual(sale.premium, { amount: 85, mode: 'monthly' });
+    assert.strictEqual(sale.confidence, 1);
+});
+
+test('an AP amount with "monthly draft" later on stays as written', () => {
+    const [sale] = parse('$1,200 AP IUL monthly draft');
+    assert.strictEqual(sale.amount, 1200);
+    assert.strictEqual(sale.premium, null);
+    assert.strictEqual(sale.confidence, 1);
+});
+
+test('a monthly premium quoted after the AP is folded into that sale', () => {
+    const sales = parse('$900 GTL fex - client pays $75 mo');
+    assert.strictEqual(sales.length, 1);
+    assert.strictEqual(sales[0].amount, 900);
+    assert.deepStrictEqual(sales[0].premium, { amount: 75, mode: 'monthly' });
+});
+
+test('a mode that is not next to the amount lowers the confidence below the prompt threshold', () => {
+    const [sale] = parse('$100 Americo IUL monthly');
+    assert.strictEqual(sale.amount, 1200);
+    assert.ok(sale.confidence < 0.6);
+});
+
+test('scoreSaleText flags questions, non-sale words and unknown products', () => {
+    assert.deepStrictEqual(scoreSaleText('$1,020 Americo IUL', { matched: true }), { confidence: 1, reasons: [] });
+
+    const question = scoreSaleText('anyone know if $500 counts?', { matched: false });
+    assert.strictEqual(question.confidence, 0.4);
+    assert.strictEqual(question.reasons.length, 2);
+
+    const bill = parse('$50 off my phone bill')[0];
+    assert.ok(bill.confidence < 0.6);
+    assert.ok(bill.reasons.some(reason => reason.includes('"off"')));
+});
+
+test('parseSaleSplit reads co-writers after w/ and a ratio', () => {
+    assert.deepStrictEqual(parseSaleSplit('Americo IUL w/ <@222> 70/30'), { coWriters: ['222'], shares: [70, 30] });
+    assert.deepStrictEqual(parseSaleSplit('Americo IUL split with <@222> <@333>'), { coWriters: ['222', '333'], shares: null });
+});
+
+test('parseSaleSplit ignores shout-outs and ratios that do not add up to 100', () => {
+    assert.deepStrictEqual(parseSaleSplit('thanks <@222> for the lead'), { coWriters: [], shares: null });
+    assert.deepStrictEqual(parseSaleSplit('Americo IUL w/ <@222> 60/60'), { coWriters: ['222'], shares: null });
+});
+
+test('getSaleCredits splits the AP by the ratio', () => {
+    const credits = getSaleCredits(makeMessage('$2,400 Americo IUL w/ <@222> 70/30', { 222: 'maria' }), false);
+    assert.deepStrictEqual(credits.map(credit => [credit.userId, credit.amount]), [['111', 1680], ['222', 720]]);
+    assert.ok(credits.every(credit => credit.split.total === 2400));
+});
+
+test('getSaleCredits gives the poster the rounding remainder of an even split', () => {
+    const credits = getSaleCredits(makeMessage('$1,000 Americo IUL w/ <@222> <@333>', { 222: 'maria', 333: 'lee' }), false);
+    assert.deepStrictEqual(credits.map(credit => Math.round(credit.split.share * 100)), [34, 33, 33]);
+    assert.strictEqual(credits.reduce((sum, credit) => sum + credit.amount, 0), 1000);
+});
+
+test('small final expense posts are not held for confirmation', () => {
+    const [sale] = parse('$85 MOO FEX');
+    assert.strictEqual(sale.amount, 85);
+    assert.deepStrictEqual(reviewParsedSales([sale], makeMessage('$85 MOO FEX')), []);
+});